@@ -0,0 +1,181 @@
+// Imager discovery benchmark
+//
+// Runs the discovery pipeline (getImageBlockUids -> processImageBatch -> enhanceImagesWithContext)
+// against a mocked roamAlphaAPI over synthetic graphs and reports how many queries were issued.
+// Each mocked query is charged a fixed round-trip cost plus a cost per block it has to look at,
+// so the simulated time shows whether loading follows graph size or the number of image blocks.
+//
+// Usage: node bench/discovery.bench.mjs
+
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const ROUND_TRIP_MS = 2; // Fixed cost of crossing into Roam's query engine
+const SCAN_COST_MS = 0.0005; // Cost per block for a full-graph scan
+const LOOKUP_COST_MS = 0.002; // Cost per uid bound into a bulk query
+
+// Build a synthetic graph: pages with top-level blocks, each with a few children
+function createGraph(blockCount, imageRatio) {
+    const blocks = new Map();
+    const pageCount = Math.max(1, Math.round(blockCount / 50));
+    let created = 0;
+    let imageBlocks = 0;
+    
+    const addBlock = (page, parent, order) => {
+        const uid = `b${String(created).padStart(8, "0")}`;
+        const hasImage = (created * 7919) % 1000 < imageRatio * 1000;
+        const string = hasImage
+            ? `Screenshot ${created} ![shot](https://firebasestorage.googleapis.com/v0/b/imgs%2F${uid}.png?alt=media)`
+            : `Plain note ${created} about [[Topic ${created % 40}]]`;
+        
+        const block = {
+            uid,
+            string,
+            page,
+            parent,
+            order,
+            children: [],
+            createTime: 1600000000000 + created * 60000,
+            editTime: 1600000000000 + created * 60000
+        };
+        blocks.set(uid, block);
+        if (parent) parent.children.push(block);
+        if (hasImage) imageBlocks++;
+        created++;
+        return block;
+    };
+    
+    for (let p = 0; created < blockCount; p = (p + 1) % pageCount) {
+        const page = { title: `Page ${p}` };
+        const top = addBlock(page, null, created % 50);
+        for (let c = 0; c < 3 && created < blockCount; c++) {
+            addBlock(page, top, c);
+        }
+    }
+    
+    return { blocks, imageBlocks };
+}
+
+// Ancestors of a block, nearest first
+function ancestors(block) {
+    const result = [];
+    for (let parent = block.parent; parent; parent = parent.parent) {
+        result.push(parent);
+    }
+    return result;
+}
+
+// A roamAlphaAPI.q stand-in that recognises the pipeline's query shapes
+function createMockApi(graph) {
+    const stats = { queries: 0, simulatedMs: 0 };
+    
+    const q = async (query, uids) => {
+        stats.queries++;
+        stats.simulatedMs += ROUND_TRIP_MS;
+        
+        if (query.includes(":in $ [?uid ...]")) {
+            stats.simulatedMs += uids.length * LOOKUP_COST_MS;
+            const rows = [];
+            
+            for (const uid of uids) {
+                const block = graph.blocks.get(uid);
+                if (!block) continue;
+                
+                if (query.includes(":block/parents")) {
+                    ancestors(block).forEach(parent => rows.push([uid, parent.string]));
+                } else if (query.includes("?child-string")) {
+                    block.children.forEach(child => rows.push([uid, child.string]));
+                } else if (query.includes("?sibling-string")) {
+                    const siblings = block.parent ? block.parent.children : [];
+                    siblings
+                        .filter(sibling => sibling !== block && Math.abs(sibling.order - block.order) <= 1)
+                        .forEach(sibling => rows.push([uid, sibling.string, sibling.order]));
+                } else if (query.includes(":block/refs")) {
+                    [...block.string.matchAll(/\[\[([^\]]+)\]\]/g)].forEach(match => rows.push([uid, match[1]]));
+                } else if (query.includes(":node/title")) {
+                    rows.push([uid, block.string, block.page.title]);
+                } else {
+                    throw new Error(`Unrecognised bulk query:\n${query}`);
+                }
+            }
+            
+            return rows;
+        }
+        
+        if (query.includes("re-find ?marker-pattern")) {
+            stats.simulatedMs += graph.blocks.size * SCAN_COST_MS;
+            // re-pattern reads a leading (?i) as a flag, which RegExp takes as a separate argument
+            const source = JSON.parse(query.match(/re-pattern ("(?:[^"\\]|\\.)*")/)[1]);
+            const marker = new RegExp(source.replace(/^\(\?i\)/, ""), "i");
+            
+            return [...graph.blocks.values()]
+                .filter(block => marker.test(block.string))
+                .map(block => [block.uid, block.createTime, block.editTime]);
+        }
+        
+        throw new Error(`Unrecognised query:\n${query}`);
+    };
+    
+    return { api: { q }, stats };
+}
+
+// Load extension.js as an ES module regardless of how Node would treat the .js file
+async function loadPipeline() {
+    const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+    const source = readFileSync(join(root, "extension.js"), "utf8");
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString("base64")}`);
+}
+
+async function run(pipeline, blockCount, imageRatio) {
+    const graph = createGraph(blockCount, imageRatio);
+    const { api, stats } = createMockApi(graph);
+    globalThis.window = { roamAlphaAPI: api };
+    
+    const started = performance.now();
+    const uids = await pipeline.getImageBlockUids();
+    const images = [];
+    for (let i = 0; i < uids.length; i += 1000) {
+        images.push(...await pipeline.processImageBatch(uids.slice(i, i + 1000)));
+    }
+    await pipeline.enhanceImagesWithContext(images);
+    const elapsedMs = performance.now() - started;
+    
+    return {
+        blocks: blockCount,
+        imageBlocks: graph.imageBlocks,
+        images: images.length,
+        queries: stats.queries,
+        // The per-block pipeline issued 1 discovery query, then 1 + 3 queries per image block
+        perBlockQueries: 1 + graph.imageBlocks * 4,
+        simulatedMs: Math.round(stats.simulatedMs),
+        perBlockSimulatedMs: Math.round(
+            (1 + graph.imageBlocks * 4) * ROUND_TRIP_MS +
+            blockCount * SCAN_COST_MS +
+            graph.imageBlocks * 4 * LOOKUP_COST_MS
+        ),
+        jsMs: Math.round(elapsedMs)
+    };
+}
+
+const pipeline = await loadPipeline();
+const log = console.log;
+console.log = () => {}; // Silence the pipeline's progress logging
+
+const scenarios = [
+    // Same graph size, growing number of image blocks
+    [40000, 0.01],
+    [40000, 0.05],
+    [40000, 0.25],
+    // Same image ratio, growing graph
+    [10000, 0.05],
+    [80000, 0.05]
+];
+
+const results = [];
+for (const [blockCount, imageRatio] of scenarios) {
+    results.push(await run(pipeline, blockCount, imageRatio));
+}
+
+console.log = log;
+console.table(results);
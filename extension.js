@@ -4,78 +4,341 @@ const POPUP_ID = "imager-popup";
 const LIGHTBOX_ID = "imager-lightbox";
 let IMAGES_PER_ROW = 6; // Default images per row
 let IMAGES_PER_PAGE = 50; // Default images per page
-let SORT_ORDER = 'newest'; // Default sort order: 'newest', 'oldest', 'page-alpha', 'page-reverse'
+let SORT_ORDER = 'newest'; // Default sort order: 'relevance', 'newest', 'oldest', 'page-alpha', 'page-reverse'
+let DISPLAY_MODE = 'paged'; // Default display mode: 'paged', 'infinite', 'timeline' or 'pages'
+let LAYOUT_MODE = 'masonry'; // Default thumbnail layout: 'masonry' or 'justified'
+let TIMELINE_GRANULARITY = 'day'; // Timeline grouping: 'day', 'month' or 'year'
+let PINNED_PAGES = []; // Titles of pages shown first when grouping by page
+let KEY_BINDINGS = {}; // Gallery shortcut keys changed in the settings, by action, see GALLERY_SHORTCUTS
+let SLIDESHOW_INTERVAL = 3; // Default seconds between images in the lightbox slideshow
+let SHOW_FACETS = false; // Whether the facet panel is open
+let EXPORT_FORMAT = 'zip'; // Default export format: 'zip', 'html' or 'markdown'
+let EXPORT_FILENAME_PATTERN = '{index}-{page}-{name}'; // File names of exported images, see formatImageFileName
+let EXPORT_EMBED_IMAGES = true; // Whether HTML and Markdown reports inline images as data: URIs
+let ALLOW_LIST = ''; // Filter rules images must match to be shown (empty: all images), see parseFilterRules
+let DENY_LIST = 'mmbiz.qpic.cn'; // Filter rules hiding the images they match
 
-// Get parent and child blocks content for a given block uid
-async function getBlockContext(uid) {
+const QUERY_CHUNK_SIZE = 500; // Max uids bound into a single bulk query
+
+// Split an array into chunks of at most `size` items
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Get parent, child and sibling block content for many block uids at once.
+// Issues three bulk queries per chunk of uids instead of three queries per block.
+// Returns a Map of uid -> { parentContent, childrenContent, siblingsContent }
+async function getBlocksContext(uids) {
+    const contexts = new Map();
+    uids.forEach(uid => contexts.set(uid, { parentContent: '', childrenContent: '', siblingsContent: '' }));
+    
+    // Query for parent blocks
+    const parentQuery = `
+        [:find ?uid ?parent-string
+         :in $ [?uid ...]
+         :where
+         [?b :block/uid ?uid]
+         [?b :block/parents ?parent]
+         [?parent :block/string ?parent-string]]
+    `;
+    
+    // Query for child blocks
+    const childrenQuery = `
+        [:find ?uid ?child-string
+         :in $ [?uid ...]
+         :where
+         [?b :block/uid ?uid]
+         [?b :block/children ?child]
+         [?child :block/string ?child-string]]
+    `;
+    
+    // Query for sibling blocks (previous and next)
+    const siblingsQuery = `
+        [:find ?uid ?sibling-string ?sibling-order
+         :in $ [?uid ...]
+         :where
+         [?b :block/uid ?uid]
+         [?b :block/order ?current-order]
+         [?parent :block/children ?b]
+         [?parent :block/children ?sibling]
+         [?sibling :block/order ?sibling-order]
+         [?sibling :block/string ?sibling-string]
+         [(not= ?b ?sibling)]
+         [(- ?current-order 1) ?previous-order]
+         [(+ ?current-order 1) ?next-order]
+         [(>= ?sibling-order ?previous-order)]
+         [(<= ?sibling-order ?next-order)]]
+    `;
+    
+    const append = (results, field) => {
+        results.forEach(([uid, content]) => {
+            const context = contexts.get(uid);
+            if (context) {
+                context[field] = context[field] ? `${context[field]} ${content}` : content;
+            }
+        });
+    };
+    
+    for (const uidChunk of chunk(uids, QUERY_CHUNK_SIZE)) {
+        try {
+            append(await window.roamAlphaAPI.q(parentQuery, uidChunk), 'parentContent');
+            append(await window.roamAlphaAPI.q(childrenQuery, uidChunk), 'childrenContent');
+            append(await window.roamAlphaAPI.q(siblingsQuery, uidChunk), 'siblingsContent');
+        } catch (error) {
+            console.error(`Error fetching context for ${uidChunk.length} blocks:`, error);
+        }
+    }
+    
+    return contexts;
+}
+
+// Uids among `uids` whose parent, child or neighbouring sibling blocks (the ones getBlocksContext
+// reads) were edited after `since`, so that context cached for them may be out of date.
+// One bulk query per chunk of uids.
+async function getStaleContextUids(uids, since) {
+    const query = `
+        [:find ?uid
+         :in $ [?uid ...] ?since
+         :where
+         [?b :block/uid ?uid]
+         (or-join [?b ?since]
+           (and [?b :block/parents ?other]
+                [?other :block/string]
+                [?other :edit/time ?time]
+                [(> ?time ?since)])
+           (and [?b :block/children ?other]
+                [?other :edit/time ?time]
+                [(> ?time ?since)])
+           (and [?b :block/order ?current-order]
+                [?parent :block/children ?b]
+                [?parent :block/children ?other]
+                [(not= ?b ?other)]
+                [?other :block/order ?other-order]
+                [(- ?current-order 1) ?previous-order]
+                [(+ ?current-order 1) ?next-order]
+                [(>= ?other-order ?previous-order)]
+                [(<= ?other-order ?next-order)]
+                [?other :edit/time ?time]
+                [(> ?time ?since)]))]
+    `;
+    
+    const stale = [];
+    for (const uidChunk of chunk(uids, QUERY_CHUNK_SIZE)) {
+        try {
+            const results = await window.roamAlphaAPI.q(query, uidChunk, since);
+            stale.push(...results.map(([uid]) => uid));
+        } catch (error) {
+            console.error(`Error checking context of ${uidChunk.length} blocks:`, error);
+        }
+    }
+    return stale;
+}
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+
+// Get the lowercase file extension from a URL path (handles encoded paths like firebase storage)
+function getUrlExtension(url) {
+    let path = url.split(/[?#]/)[0];
     try {
-        // Query for parent block
-        const parentQuery = `
-            [:find ?parent-string
-             :where
-             [?b :block/uid "${uid}"]
-             [?b :block/parents ?parent]
-             [?parent :block/string ?parent-string]]
-        `;
-        
-        // Query for child blocks
-        const childrenQuery = `
-            [:find ?child-string
-             :where
-             [?b :block/uid "${uid}"]
-             [?b :block/children ?child]
-             [?child :block/string ?child-string]]
-        `;
-        
-        // Query for sibling blocks (previous and next)
-        const siblingsQuery = `
-            [:find ?sibling-string ?sibling-order
-             :where
-             [?b :block/uid "${uid}"]
-             [?b :block/order ?current-order]
-             [?parent :block/children ?b]
-             [?parent :block/children ?sibling]
-             [?sibling :block/order ?sibling-order]
-             [?sibling :block/string ?sibling-string]
-             [(not= ?b ?sibling)]
-             [(>= ?sibling-order (- ?current-order 1))]
-             [(<= ?sibling-order (+ ?current-order 1))]]
-        `;
-        
-        const parentResults = await window.roamAlphaAPI.q(parentQuery);
-        const childrenResults = await window.roamAlphaAPI.q(childrenQuery);
-        const siblingsResults = await window.roamAlphaAPI.q(siblingsQuery);
-        
-        const parentContent = parentResults.map(([content]) => content).join(' ');
-        const childrenContent = childrenResults.map(([content]) => content).join(' ');
-        const siblingsContent = siblingsResults.map(([content]) => content).join(' ');
-        
-        return { parentContent, childrenContent, siblingsContent };
+        path = decodeURIComponent(path);
     } catch (error) {
-        console.error(`Error fetching context for block ${uid}:`, error);
-        return { parentContent: '', childrenContent: '', siblingsContent: '' };
+        // Keep the raw path if it is not valid URI encoding
+    }
+    const lastSegment = path.split('/').pop() || '';
+    const dotIndex = lastSegment.lastIndexOf('.');
+    return dotIndex > 0 ? lastSegment.slice(dotIndex + 1).toLowerCase() : '';
+}
+
+function hasImageExtension(url) {
+    return IMAGE_EXTENSIONS.includes(getUrlExtension(url));
+}
+
+// Collect every match of a global regex, mapping each one to an image candidate
+function collectMatches(regex, content, toImage) {
+    const matches = [];
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+        const image = toImage(match);
+        if (image && image.url) {
+            matches.push({
+                ...image,
+                url: image.url.trim(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    }
+    return matches;
+}
+
+// Image extractors, one per supported syntax. Each extractor declares a `marker` (a
+// regex source, matched case-insensitively, that accepts every string its pattern can
+// match) used to pre-filter blocks in Datalog, and an `extract` function that returns
+// the images found in a block string. Extractors run in order and a later extractor
+// never claims text already matched by an earlier one, so bare URLs inside markdown
+// images or uploads are not reported twice.
+const IMAGE_EXTRACTORS = [
+    {
+        source: 'markdown',
+        marker: '!\\[',
+        extract: (content) => collectMatches(
+            /!\[([^\]]*)\]\(([^)]+)\)/g,
+            content,
+            (match) => ({ url: match[2], alt: match[1] })
+        )
+    },
+    {
+        source: 'upload',
+        marker: '\\{\\{\\s*(?:\\[\\[)?upload',
+        extract: (content) => collectMatches(
+            /\{\{\s*(?:\[\[upload\]\]|upload)\s*:\s*([^}\s]+)\s*\}\}/gi,
+            content,
+            // Uploads can be any file type, so skip ones with a known non-image extension
+            (match) => {
+                const extension = getUrlExtension(match[1]);
+                return !extension || IMAGE_EXTENSIONS.includes(extension) ? { url: match[1] } : null;
+            }
+        )
+    },
+    {
+        source: 'image-embed',
+        marker: '\\{\\{\\s*(?:\\[\\[)?image',
+        extract: (content) => collectMatches(
+            /\{\{\s*(?:\[\[image\]\]|image)\s*:\s*([^}\s]+)\s*\}\}/gi,
+            content,
+            (match) => ({ url: match[1] })
+        )
+    },
+    {
+        source: 'iframe',
+        marker: '\\{\\{\\s*(?:\\[\\[)?iframe',
+        extract: (content) => collectMatches(
+            /\{\{\s*(?:\[\[iframe\]\]|iframe)\s*:\s*([^}\s]+)\s*\}\}/gi,
+            content,
+            (match) => hasImageExtension(match[1]) ? { url: match[1] } : null
+        )
+    },
+    {
+        source: 'html',
+        marker: '<img\\b',
+        extract: (content) => collectMatches(
+            /<img\b[^>]*>/gi,
+            content,
+            (match) => {
+                const src = match[0].match(/\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+                const alt = match[0].match(/\balt\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+                if (!src) return null;
+                return {
+                    url: src[1] || src[2] || src[3],
+                    alt: alt ? (alt[1] || alt[2]) : ''
+                };
+            }
+        )
+    },
+    {
+        source: 'url',
+        marker: `\\.(?:${IMAGE_EXTENSIONS.join('|')})`,
+        extract: (content) => collectMatches(
+            /https?:\/\/[^\s<>"'()[\]{}]+/gi,
+            content,
+            (match) => {
+                // Drop sentence punctuation that ends up glued to the URL
+                const url = match[0].replace(/[.,;:!?]+$/, '');
+                return hasImageExtension(url) ? { url } : null;
+            }
+        )
+    }
+];
+
+// Every extractor marker, for pre-filtering block strings in Datalog or in JS
+const IMAGE_MARKER_SOURCE = IMAGE_EXTRACTORS.map(extractor => extractor.marker).join('|');
+const IMAGE_MARKER_REGEX = new RegExp(IMAGE_MARKER_SOURCE, 'i');
+
+const DEFAULT_ALT_TEXT = "Image"; // Alt text recorded for images that have none
+
+// Run every extractor over a block string and return the images found, tagged with their source syntax
+function extractImagesFromContent(content) {
+    const claimed = [];
+    const images = [];
+    
+    for (const extractor of IMAGE_EXTRACTORS) {
+        for (const match of extractor.extract(content)) {
+            const overlaps = claimed.some(range => match.start < range.end && match.end > range.start);
+            if (overlaps) continue;
+            
+            claimed.push({ start: match.start, end: match.end });
+            images.push({
+                url: match.url,
+                alt: match.alt || DEFAULT_ALT_TEXT,
+                source: extractor.source,
+                position: match.start
+            });
+        }
+    }
+    
+    // Keep images in the order they appear in the block
+    images.sort((a, b) => a.position - b.position);
+    return images.map(({ position, ...image }) => image);
+}
+
+// Build the Datalog clauses matching block strings that contain any extractor marker.
+// Datascript's re-pattern reads the leading (?i) as the regex's case-insensitive flag.
+function buildImagePrefilterClause(stringVar = '?string') {
+    const pattern = `(?i)${IMAGE_MARKER_SOURCE}`;
+    return `[(re-pattern ${JSON.stringify(pattern)}) ?marker-pattern]
+             [(re-find ?marker-pattern ${stringVar})]`;
+}
+
+// Datalog clauses limiting ?b to the blocks of a gallery scope: blocks on the scope's pages
+// and, with `includeReferences`, blocks that reference them or sit under a block that does
+function buildScopeClause(scope) {
+    if (!scope.includeReferences) {
+        return `[?page :node/title ?page-title]
+             [?b :block/page ?page]`;
     }
+    return `[?page :node/title ?page-title]
+             (or-join [?b ?page]
+               [?b :block/page ?page]
+               [?b :block/refs ?page]
+               (and [?b :block/parents ?ancestor]
+                    [?ancestor :block/refs ?page]))`;
 }
 
 // Get just the UIDs of blocks containing images (very fast)
-async function getImageBlockUids() {
+// Returns [uid, createTime, editTime] tuples; missing timestamps are reported as 0.
+// Resolves to null when the query fails, so that callers do not mistake a failed scan for
+// every image block having been deleted.
+// Without a scope the whole graph is scanned; a scope ({ pageTitles, includeReferences })
+// limits the scan to the blocks of those pages.
+async function getImageBlockUids(scope = null) {
     try {
-        console.log("Getting image block UIDs...");
+        if (scope && scope.pageTitles.length === 0) return [];
         
         const query = `
-            [:find ?uid ?create-time
+            [:find ?uid ?create-time ?edit-time
+             ${scope ? `:in $ [?page-title ...]
              :where
+             ${buildScopeClause(scope)}` : ':where'}
              [?b :block/uid ?uid]
              [?b :block/string ?string]
-             [(clojure.string/includes? ?string "![")]
+             ${buildImagePrefilterClause('?string')}
              (or-join [?b ?create-time]
                (and [?b :create/time ?create-time])
                (and [(missing? $ ?b :create/time)]
-                    [(ground 0) ?create-time]))]
+                    [(ground 0) ?create-time]))
+             (or-join [?b ?edit-time]
+               (and [?b :edit/time ?edit-time])
+               (and [(missing? $ ?b :edit/time)]
+                    [(ground 0) ?edit-time]))]
         `;
         
-        const results = await window.roamAlphaAPI.q(query);
-        console.log(`Found ${results.length} blocks potentially containing images`);
+        const results = scope
+            ? await window.roamAlphaAPI.q(query, scope.pageTitles)
+            : await window.roamAlphaAPI.q(query);
         
         // Sort by creation date (newest first)
         results.sort((a, b) => (b[1] || 0) - (a[1] || 0));
@@ -83,59 +346,137 @@ async function getImageBlockUids() {
         return results;
     } catch (error) {
         console.error("Error fetching image UIDs:", error);
-        return [];
+        return null;
+    }
+}
+
+// Get the blocks edited after `since` (ms), optionally limited to a scope, as
+// [uid, createTime, editTime, string] rows. The query starts from edit times, so only the
+// recently edited blocks are looked at, not every block string. Resolves to null when the
+// query fails.
+async function getEditedBlocks(since, scope = null) {
+    try {
+        if (scope && scope.pageTitles.length === 0) return [];
+        
+        const query = `
+            [:find ?uid ?create-time ?edit-time ?string
+             :in $ ?since${scope ? ' [?page-title ...]' : ''}
+             :where
+             [?b :edit/time ?edit-time]
+             [(> ?edit-time ?since)]
+             ${scope ? buildScopeClause(scope) : ''}
+             [?b :block/uid ?uid]
+             [?b :block/string ?string]
+             (or-join [?b ?create-time]
+               (and [?b :create/time ?create-time])
+               (and [(missing? $ ?b :create/time)]
+                    [(ground 0) ?create-time]))]
+        `;
+        
+        return scope
+            ? await window.roamAlphaAPI.q(query, since, scope.pageTitles)
+            : await window.roamAlphaAPI.q(query, since);
+    } catch (error) {
+        console.error("Error fetching edited blocks:", error);
+        return null;
+    }
+}
+
+// The uids among `uids` whose blocks still exist (and are still in `scope`, if given), as a Set.
+// Blocks are looked up by uid, so the cost follows the number of uids, not the graph size.
+// Resolves to null when a query fails.
+async function getExistingBlockUids(uids, scope = null) {
+    const existing = new Set();
+    if (scope && scope.pageTitles.length === 0) return existing;
+    
+    const query = `
+        [:find ?uid
+         :in $ [?uid ...]${scope ? ' [?page-title ...]' : ''}
+         :where
+         [?b :block/uid ?uid]
+         ${scope ? buildScopeClause(scope) : ''}]
+    `;
+    
+    try {
+        for (const uidChunk of chunk(uids, QUERY_CHUNK_SIZE)) {
+            const results = scope
+                ? await window.roamAlphaAPI.q(query, uidChunk, scope.pageTitles)
+                : await window.roamAlphaAPI.q(query, uidChunk);
+            results.forEach(([uid]) => existing.add(uid));
+        }
+        return existing;
+    } catch (error) {
+        console.error("Error checking which blocks exist:", error);
+        return null;
     }
 }
 
 // Process a batch of UIDs to extract images
+// Block strings and page titles for the whole batch are fetched with one bulk query per chunk.
+// Rejects if the blocks cannot be read, rather than reporting them as having no images.
 async function processImageBatch(uidBatch) {
     const images = [];
+    const createTimes = new Map(uidBatch.map(([uid, createTime]) => [uid, createTime]));
+    
+    const blockQuery = `
+        [:find ?uid ?string ?page-title
+         :in $ [?uid ...]
+         :where
+         [?b :block/uid ?uid]
+         [?b :block/string ?string]
+         [?b :block/page ?page]
+         [?page :node/title ?page-title]]
+    `;
     
-    for (const [uid, createTime] of uidBatch) {
+    // Pages the block references through [[links]], #tags and attributes
+    const refsQuery = `
+        [:find ?uid ?ref-title
+         :in $ [?uid ...]
+         :where
+         [?b :block/uid ?uid]
+         [?b :block/refs ?ref]
+         [?ref :node/title ?ref-title]]
+    `;
+    
+    for (const uidChunk of chunk([...createTimes.keys()], QUERY_CHUNK_SIZE)) {
+        const blockResults = await window.roamAlphaAPI.q(blockQuery, uidChunk);
+        
+        // References only feed the facets, so images are still listed if this fails
+        const refsByUid = new Map();
         try {
-            // Get block content
-            const blockQuery = `
-                [:find ?string ?page-title
-                 :where
-                 [?b :block/uid "${uid}"]
-                 [?b :block/string ?string]
-                 [?b :block/page ?page]
-                 [?page :node/title ?page-title]]
-            `;
-            
-            const blockResult = await window.roamAlphaAPI.q(blockQuery);
-            if (blockResult.length > 0) {
-                const [content, pageTitle] = blockResult[0];
-                
-                // Extract images from content
-                const markdownRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-                let match;
-                
-                while ((match = markdownRegex.exec(content)) !== null) {
-                    const url = match[2];
-                    if (url) {
-                        // Filter out images from mmbiz.qpic.cn domain
-                        const trimmedUrl = url.trim();
-                        if (!trimmedUrl.includes('mmbiz.qpic.cn')) {
-                            images.push({
-                                uid,
-                                url: trimmedUrl,
-                                alt: match[1] || "Image",
-                                createTime: createTime > 0 ? createTime : null,
-                                pageTitle: pageTitle || "Untitled",
-                                blockContent: content,
-                                parentContent: '',
-                                childrenContent: '',
-                                siblingsContent: '',
-                                searchableContent: `${content} ${pageTitle}`.toLowerCase(),
-                                contextLoaded: false
-                            });
-                        }
-                    }
-                }
+            const refResults = await window.roamAlphaAPI.q(refsQuery, uidChunk);
+            for (const [uid, refTitle] of refResults) {
+                if (!refsByUid.has(uid)) refsByUid.set(uid, []);
+                refsByUid.get(uid).push(refTitle);
             }
         } catch (error) {
-            console.error(`Error processing UID ${uid}:`, error);
+            console.error(`Error loading references for ${uidChunk.length} blocks:`, error);
+        }
+        
+        for (const [uid, content, pageTitle] of blockResults) {
+            const createTime = createTimes.get(uid);
+            const refs = (refsByUid.get(uid) || []).sort();
+            
+            // Extract images from content using every registered extractor. Images hidden by the
+            // allow and deny lists are kept, so the gallery can reveal them (see "Image filter").
+            for (const { url, alt, source } of extractImagesFromContent(content)) {
+                images.push({
+                    uid,
+                    url,
+                    alt,
+                    source,
+                    createTime: createTime > 0 ? createTime : null,
+                    pageTitle: pageTitle || "Untitled",
+                    refs,
+                    domain: getUrlHostname(url),
+                    blockContent: content,
+                    parentContent: '',
+                    childrenContent: '',
+                    siblingsContent: '',
+                    searchableContent: `${content} ${pageTitle}`.toLowerCase(),
+                    contextLoaded: false
+                });
+            }
         }
     }
     
@@ -144,37 +485,333 @@ async function processImageBatch(uidBatch) {
 
 // Enhance images with context data progressively
 async function enhanceImagesWithContext(images, onProgress) {
-    const batchSize = 10; // Process 10 images at a time
-    
-    for (let i = 0; i < images.length; i += batchSize) {
-        const batch = images.slice(i, Math.min(i + batchSize, images.length));
-        
-        // Process batch in parallel
-        await Promise.all(batch.map(async (image) => {
-            if (!image.contextLoaded) {
-                const { parentContent, childrenContent, siblingsContent } = await getBlockContext(image.uid);
-                image.parentContent = parentContent;
-                image.childrenContent = childrenContent;
-                image.siblingsContent = siblingsContent;
-                image.searchableContent = `${image.blockContent} ${parentContent} ${childrenContent} ${siblingsContent} ${image.pageTitle}`.toLowerCase();
-                image.contextLoaded = true;
-            }
-        }));
+    const pending = images.filter(image => !image.contextLoaded);
+    const uids = [...new Set(pending.map(image => image.uid))];
+    let processed = 0;
+    
+    for (const uidChunk of chunk(uids, QUERY_CHUNK_SIZE)) {
+        const contexts = await getBlocksContext(uidChunk);
+        const chunkUids = new Set(uidChunk);
+        
+        pending.filter(image => chunkUids.has(image.uid)).forEach(image => {
+            const { parentContent, childrenContent, siblingsContent } = contexts.get(image.uid);
+            image.parentContent = parentContent;
+            image.childrenContent = childrenContent;
+            image.siblingsContent = siblingsContent;
+            image.searchableContent = `${image.blockContent} ${parentContent} ${childrenContent} ${siblingsContent} ${image.pageTitle}`.toLowerCase();
+            image.contextLoaded = true;
+        });
         
         // Call progress callback
+        processed += uidChunk.length;
         if (onProgress) {
-            onProgress(Math.min(i + batchSize, images.length), images.length);
+            onProgress(processed, uids.length);
         }
     }
     
     return images;
 }
 
-// Sort images based on selected criteria
-function sortImages(images, sortOrder) {
+// Persistent image index (IndexedDB)
+// Extracted image records are cached per block so the gallery can open instantly and
+// only re-process blocks edited since the last scan.
+const INDEX_DB_VERSION = 1;
+const INDEX_SCHEMA_VERSION = 3; // Bump when the shape or selection of cached image records changes
+
+function getIndexDbName() {
+    const graphName = (window.roamAlphaAPI.graph && window.roamAlphaAPI.graph.name) || 'default';
+    return `imager-index-${graphName}`;
+}
+
+// Wrap an IDBRequest (or transaction completion) in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        if (request instanceof IDBTransaction) {
+            request.oncomplete = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onabort = () => reject(request.error);
+        } else {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    });
+}
+
+function openImageIndexDb() {
+    const request = indexedDB.open(getIndexDbName(), INDEX_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('blocks')) {
+            db.createObjectStore('blocks', { keyPath: 'uid' });
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+    };
+    return idbRequest(request);
+}
+
+// Load the cached index as a Map of block uid -> { uid, editTime, images } and the last scan time
+async function loadImageIndex() {
+    const emptyIndex = { blocks: new Map(), lastScan: 0 };
+    
+    try {
+        const db = await openImageIndexDb();
+        const tx = db.transaction(['blocks', 'meta'], 'readonly');
+        const [schema, lastScan, blocks] = await Promise.all([
+            idbRequest(tx.objectStore('meta').get('schema')),
+            idbRequest(tx.objectStore('meta').get('lastScan')),
+            idbRequest(tx.objectStore('blocks').getAll())
+        ]);
+        db.close();
+        
+        // Records written by an older version are re-extracted from scratch
+        if (!schema || schema.value !== INDEX_SCHEMA_VERSION) {
+            if (blocks.length > 0) await clearImageIndex();
+            return emptyIndex;
+        }
+        
+        return {
+            blocks: new Map(blocks.map(block => [block.uid, block])),
+            lastScan: lastScan ? lastScan.value : 0
+        };
+    } catch (error) {
+        console.error("Error loading image index:", error);
+        return emptyIndex;
+    }
+}
+
+// Write changed blocks to the index, drop deleted ones and optionally record the scan time
+async function saveImageIndex({ upserts = [], deletes = [], lastScan = null }) {
+    try {
+        const db = await openImageIndexDb();
+        const tx = db.transaction(['blocks', 'meta'], 'readwrite');
+        const blockStore = tx.objectStore('blocks');
+        const metaStore = tx.objectStore('meta');
+        
+        upserts.forEach(block => blockStore.put(block));
+        deletes.forEach(uid => blockStore.delete(uid));
+        metaStore.put({ key: 'schema', value: INDEX_SCHEMA_VERSION });
+        if (lastScan !== null) {
+            metaStore.put({ key: 'lastScan', value: lastScan });
+        }
+        
+        await idbRequest(tx);
+        db.close();
+    } catch (error) {
+        console.error("Error saving image index:", error);
+    }
+}
+
+// Delete the whole index so the next gallery open performs a full scan
+async function clearImageIndex() {
+    try {
+        await idbRequest(indexedDB.deleteDatabase(getIndexDbName()));
+        console.log("Image index cleared");
+    } catch (error) {
+        console.error("Error clearing image index:", error);
+    }
+}
+
+// Write measured natural dimensions back into the cached index entries of their blocks
+async function saveImageDimensions(images) {
+    try {
+        const db = await openImageIndexDb();
+        const tx = db.transaction('blocks', 'readwrite');
+        const blockStore = tx.objectStore('blocks');
+        const uids = [...new Set(images.map(image => image.uid))];
+        
+        const entries = await Promise.all(uids.map(uid => idbRequest(blockStore.get(uid))));
+        entries.filter(Boolean).forEach(entry => {
+            entry.images.forEach(cached => {
+                const measured = images.find(image => image.uid === entry.uid && image.url === cached.url);
+                if (measured) {
+                    cached.width = measured.width;
+                    cached.height = measured.height;
+                }
+            });
+            blockStore.put(entry);
+        });
+        
+        await idbRequest(tx);
+        db.close();
+    } catch (error) {
+        console.error("Error saving image dimensions:", error);
+    }
+}
+
+// Queue measured images and save them together after a short pause
+const pendingDimensionSaves = new Set();
+let dimensionSaveTimer = null;
+
+function persistImageDimensions(image) {
+    pendingDimensionSaves.add(image);
+    clearTimeout(dimensionSaveTimer);
+    dimensionSaveTimer = setTimeout(() => {
+        const images = [...pendingDimensionSaves];
+        pendingDimensionSaves.clear();
+        saveImageDimensions(images);
+    }, 1000);
+}
+
+// Group processed images back into per-block index entries
+function toIndexEntries(uidBatch, images) {
+    const imagesByUid = new Map();
+    images.forEach(image => {
+        if (!imagesByUid.has(image.uid)) imagesByUid.set(image.uid, []);
+        imagesByUid.get(image.uid).push(image);
+    });
+    
+    return uidBatch.map(([uid, , editTime]) => ({
+        uid,
+        editTime: editTime || 0,
+        images: imagesByUid.get(uid) || []
+    }));
+}
+
+const RESULT_NOTIFY_DELAY = 250; // ms to collect changed results before notifying subscribers
+
+// Per-URL results (image health, content hashes) kept in the index's meta store under `key`.
+// `load()` reads them once per session; `set()` saves all of them after a short pause.
+// `subscribe(listener)` reports the URLs whose results changed, a batch at a time, and returns
+// an unsubscribe function.
+function createUrlResultStore(key) {
+    const results = new Map();
+    const listeners = new Set();
+    const changedUrls = new Set();
+    let loading = null;
+    let saveTimer = null;
+    let notifyTimer = null;
+    
+    const notify = (urls) => {
+        urls.forEach(url => changedUrls.add(url));
+        if (notifyTimer || listeners.size === 0) return;
+        notifyTimer = setTimeout(() => {
+            notifyTimer = null;
+            const urls = new Set(changedUrls);
+            changedUrls.clear();
+            listeners.forEach(listener => listener(urls));
+        }, RESULT_NOTIFY_DELAY);
+    };
+    
+    return {
+        get: (url) => results.get(url),
+        has: (url) => results.has(url),
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        load() {
+            if (!loading) {
+                loading = (async () => {
+                    try {
+                        const db = await openImageIndexDb();
+                        const record = await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').get(key));
+                        db.close();
+                        if (record) {
+                            // Results recorded before the load finished are newer
+                            const loaded = record.value.filter(([url]) => !results.has(url));
+                            loaded.forEach(([url, result]) => results.set(url, result));
+                            notify(loaded.map(([url]) => url));
+                        }
+                    } catch (error) {
+                        console.error(`Error loading image ${key}:`, error);
+                    }
+                })();
+            }
+            return loading;
+        },
+        set(url, result) {
+            results.set(url, result);
+            notify([url]);
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(async () => {
+                try {
+                    const db = await openImageIndexDb();
+                    const tx = db.transaction('meta', 'readwrite');
+                    tx.objectStore('meta').put({ key, value: [...results.entries()] });
+                    await idbRequest(tx);
+                    db.close();
+                } catch (error) {
+                    console.error(`Error saving image ${key}:`, error);
+                }
+            }, 1000);
+        }
+    };
+}
+
+// Image health
+// What is known about each image URL, from the health check or from thumbnails that failed to
+// load: { status: 'ok' | 'broken', issues, httpStatus, finalUrl, duration, size, error, checkedAt }.
+// `issues` lists the HEALTH_ISSUES keys that apply.
+const HEALTH_ISSUES = [
+    { key: 'broken', label: 'Broken', intent: 'danger' },
+    { key: 'redirected', label: 'Redirected', intent: 'warning' },
+    { key: 'slow', label: 'Slow', intent: 'warning' },
+    { key: 'oversized', label: 'Oversized', intent: 'warning' }
+];
+
+const imageHealth = createUrlResultStore('health');
+
+// Health issue keys of an image: [] when it checked out fine, null when it was never checked
+function getImageHealthIssues(image) {
+    const result = imageHealth.get(image.url);
+    return result ? result.issues : null;
+}
+
+// Recompute a gallery's view and Health facet when health results of its images change, e.g.
+// from the health check or from thumbnails failing to load. Stops once `isOpen()` is false.
+// Returns a function that stops following.
+function followImageHealth(store, isOpen = () => true) {
+    const unsubscribe = imageHealth.subscribe(urls => {
+        if (!isOpen()) {
+            unsubscribe();
+            return;
+        }
+        const { images, healthVersion } = store.getState();
+        if (images.some(image => urls.has(image.url))) {
+            store.setState({ healthVersion: healthVersion + 1 });
+        }
+    });
+    return unsubscribe;
+}
+
+// Thumbnails report whether they loaded: a failure marks the URL broken without running the
+// health check, and a URL recorded as broken that loads after all is no longer broken
+function recordThumbnailLoad(url, loaded) {
+    const known = imageHealth.get(url);
+    const wasBroken = Boolean(known && known.status === 'broken');
+    if (loaded !== wasBroken) return;
+    
+    imageHealth.set(url, {
+        status: loaded ? 'ok' : 'broken',
+        issues: loaded ? [] : ['broken'],
+        httpStatus: null,
+        finalUrl: null,
+        duration: null,
+        size: null,
+        error: loaded ? null : 'Failed to load in the gallery',
+        checkedAt: Date.now()
+    });
+}
+
+// Sort images based on selected criteria.
+// `scores` (image -> relevance) is only used by the 'relevance' order.
+function sortImages(images, sortOrder, scores = null) {
     const sorted = [...images];
     
     switch (sortOrder) {
+        case 'relevance':
+            // Best text matches first; without a text query this is the same as newest first
+            sorted.sort((a, b) => {
+                const scoreDiff = ((scores && scores.get(b)) || 0) - ((scores && scores.get(a)) || 0);
+                if (scoreDiff !== 0) return scoreDiff;
+                if (a.createTime === null && b.createTime === null) return 0;
+                if (a.createTime === null) return 1;
+                if (b.createTime === null) return -1;
+                return b.createTime - a.createTime;
+            });
+            break;
         case 'newest':
             // Sort by creation time, newest first
             // Put items with no timestamp at the end
@@ -216,371 +853,4874 @@ function sortImages(images, sortOrder) {
     return sorted;
 }
 
-// Create lightbox for zoomed image view
-function createLightbox(imageUrl, imageAlt) {
-    // Remove existing lightbox if any
-    const existing = document.getElementById(LIGHTBOX_ID);
-    if (existing) existing.remove();
-    
-    const lightbox = document.createElement("div");
-    lightbox.id = LIGHTBOX_ID;
-    lightbox.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.9);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 2000;
-        cursor: zoom-out;
-        padding: 40px;
-    `;
-    
-    // Container for image and copy button
-    const contentContainer = document.createElement("div");
-    contentContainer.style.cssText = `
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        gap: 20px;
-        max-width: 90%;
-        max-height: 90%;
-    `;
+// Search query language
+// A query is a whitespace-separated list of terms. Each term is free text, a "quoted phrase"
+// or a `field:value` filter (value may be quoted or a Roam reference like [[Project X]] or
+// #[[Big Idea]]), optionally negated with a leading `-`:
+//   page:"Project X" page:[[Project X]] tag:design tag:#[[Big Idea]] before:2024-01-01 after:2023-06 alt:diagram
+//   domain:firebasestorage ext:png -ext:gif "exact phrase"
+// Parsing and evaluation are plain functions with no DOM access.
+const SEARCH_FIELDS = ['page', 'tag', 'before', 'after', 'alt', 'domain', 'ext'];
+
+// Parse YYYY, YYYY-MM or YYYY-MM-DD into the start of that period (local time)
+function parseQueryDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
     
-    const img = document.createElement("img");
-    img.src = imageUrl;
-    img.alt = imageAlt;
-    img.style.cssText = `
-        max-width: 100%;
-        max-height: calc(100% - 60px);
-        object-fit: contain;
-        box-shadow: 0 0 50px rgba(0, 0, 0, 0.5);
-        cursor: default;
-    `;
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) - 1 : 0;
+    const day = match[3] ? parseInt(match[3]) : 1;
+    const date = new Date(year, month, day);
     
-    // Copy to clipboard button
-    const copyBtn = document.createElement("button");
-    copyBtn.className = "bp3-button bp3-intent-primary";
-    copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-duplicate"></span> Copy Image to Clipboard';
-    copyBtn.style.cssText = `
-        background: rgba(255, 255, 255, 0.9);
-        color: #106ba3;
-        font-weight: 500;
-        padding: 10px 20px;
-        border-radius: 4px;
-        cursor: pointer;
-        transition: all 0.2s;
-    `;
+    // Reject dates that rolled over, like 2024-02-31
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+    return date.getTime();
+}
+
+// Parse a search query into clauses. Never throws: problems are returned in `errors` with
+// the character range they apply to, and the valid clauses are still returned.
+function parseSearchQuery(input) {
+    const clauses = [];
+    const errors = [];
+    const text = input || '';
+    let pos = 0;
+    
+    while (pos < text.length) {
+        // Skip whitespace between terms
+        if (/\s/.test(text[pos])) {
+            pos++;
+            continue;
+        }
+        
+        const start = pos;
+        let negated = false;
+        if (text[pos] === '-') {
+            negated = true;
+            pos++;
+            if (pos >= text.length || /\s/.test(text[pos])) {
+                errors.push({ message: "Expected a term after '-'", start, end: pos });
+                continue;
+            }
+        }
+        
+        // Known field prefix; anything else with a colon (like a URL) is plain text
+        let field = null;
+        const fieldMatch = text.slice(pos).match(/^([a-zA-Z]+):/);
+        if (fieldMatch && SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+            field = fieldMatch[1].toLowerCase();
+            pos += fieldMatch[0].length;
+        }
+        
+        let value;
+        let quoted = false;
+        if (text[pos] === '"') {
+            quoted = true;
+            const closing = text.indexOf('"', pos + 1);
+            if (closing === -1) {
+                value = text.slice(pos + 1);
+                pos = text.length;
+                errors.push({ message: "Missing closing quote", start, end: pos });
+            } else {
+                value = text.slice(pos + 1, closing);
+                pos = closing + 1;
+            }
+        } else if (/^#?\[\[/.test(text.slice(pos))) {
+            // A Roam reference runs to its matching ]], spaces and nested references included
+            const valueStart = pos;
+            let depth = 0;
+            pos = text.indexOf('[[', pos);
+            while (pos < text.length) {
+                if (text.startsWith('[[', pos)) {
+                    depth++;
+                    pos += 2;
+                } else if (text.startsWith(']]', pos)) {
+                    depth--;
+                    pos += 2;
+                    if (depth === 0) break;
+                } else {
+                    pos++;
+                }
+            }
+            value = text.slice(valueStart, pos);
+            if (depth > 0) errors.push({ message: "Missing closing ']]'", start, end: pos });
+        } else {
+            const valueStart = pos;
+            while (pos < text.length && !/\s/.test(text[pos])) pos++;
+            value = text.slice(valueStart, pos);
+        }
+        
+        const end = pos;
+        value = value.trim();
+        
+        if (field && !value) {
+            errors.push({ message: `Missing value for "${field}:"`, start, end });
+            continue;
+        }
+        if (!value) continue;
+        
+        const clause = { field: field || 'text', value: value.toLowerCase(), negated, quoted, start, end };
+        
+        if (field === 'before' || field === 'after') {
+            clause.date = parseQueryDate(value);
+            if (clause.date === null) {
+                errors.push({ message: `Invalid date "${value}" for "${field}:" (use YYYY-MM-DD, YYYY-MM or YYYY)`, start, end });
+                continue;
+            }
+        }
+        if (field === 'ext') {
+            clause.value = clause.value.replace(/^\./, '');
+        }
+        if (field === 'tag') {
+            clause.value = clause.value.replace(/^#/, '');
+        }
+        if (field === 'tag' || field === 'page') {
+            clause.value = clause.value.replace(/^\[\[(.*)\]\]$/, '$1');
+        }
+        
+        clauses.push(clause);
+    }
+    
+    return { clauses, errors };
+}
+
+// Lowercased tags and page references of an image's block: #tag, #[[tag]], [[page]], attr::
+function getImageTags(image) {
+    const tags = new Set((image.refs || []).map(ref => ref.toLowerCase()));
+    const content = image.blockContent || '';
+    const tagRegex = /#\[\[([^\]]+)\]\]|\[\[([^\]]+)\]\]|#([^\s#\[\],.;:!?()"']+)|(?:^|\s)([^\s:]+)::/g;
+    let match;
+    while ((match = tagRegex.exec(content)) !== null) {
+        tags.add((match[1] || match[2] || match[3] || match[4]).toLowerCase());
+    }
+    return tags;
+}
+
+function getUrlHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+// Check a single (non-negated) clause against an image
+function matchesSearchClause(clause, image) {
+    switch (clause.field) {
+        case 'page':
+            return (image.pageTitle || '').toLowerCase().includes(clause.value);
+        case 'tag':
+            return getImageTags(image).has(clause.value);
+        case 'before':
+            return image.createTime !== null && image.createTime < clause.date;
+        case 'after':
+            return image.createTime !== null && image.createTime >= clause.date;
+        case 'alt':
+            return (image.alt || '').toLowerCase().includes(clause.value);
+        case 'domain':
+            return (image.domain || getUrlHostname(image.url)).includes(clause.value);
+        case 'ext':
+            return getUrlExtension(image.url) === clause.value;
+        default:
+            return image.searchableContent.includes(clause.value);
+    }
+}
+
+// Evaluate parsed clauses against an image: every clause must hold (negated ones must not)
+function evaluateSearchQuery(clauses, image) {
+    return clauses.every(clause => matchesSearchClause(clause, image) !== clause.negated);
+}
+
+// Full-text search index
+// An inverted index from tokens to the images whose alt text, page title, block or
+// surrounding blocks contain them. Query tokens match index tokens exactly, by prefix or
+// within a small edit distance, and each match adds to the image's relevance score.
+const SEARCH_FIELD_WEIGHTS = { alt: 3, pageTitle: 2.5, blockContent: 2, context: 1 };
+const EXACT_MATCH_WEIGHT = 1;
+const PREFIX_MATCH_WEIGHT = 0.75;
+const FUZZY_MATCH_WEIGHTS = [null, 0.5, 0.35]; // By edit distance
+
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Levenshtein distance between two strings, or Infinity once it exceeds `max`
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return Infinity;
+        previous = current;
+    }
+    
+    return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Build the inverted index: token -> Map of image -> best field weight
+function buildSearchIndex(images) {
+    const postings = new Map();
+    
+    const add = (image, text, weight) => {
+        tokenize(text).forEach(token => {
+            let imageWeights = postings.get(token);
+            if (!imageWeights) {
+                imageWeights = new Map();
+                postings.set(token, imageWeights);
+            }
+            if ((imageWeights.get(image) || 0) < weight) {
+                imageWeights.set(image, weight);
+            }
+        });
+    };
+    
+    images.forEach(image => {
+        add(image, image.alt, SEARCH_FIELD_WEIGHTS.alt);
+        add(image, image.pageTitle, SEARCH_FIELD_WEIGHTS.pageTitle);
+        add(image, image.blockContent, SEARCH_FIELD_WEIGHTS.blockContent);
+        add(image, `${image.parentContent} ${image.childrenContent} ${image.siblingsContent}`, SEARCH_FIELD_WEIGHTS.context);
+    });
+    
+    return { postings, vocabulary: [...postings.keys()], expansions: new Map() };
+}
+
+// Indexes are rebuilt only when the image list itself is replaced
+const searchIndexCache = new WeakMap();
+
+function getSearchIndex(images) {
+    let index = searchIndexCache.get(images);
+    if (!index) {
+        index = buildSearchIndex(images);
+        searchIndexCache.set(images, index);
+    }
+    return index;
+}
+
+// Index tokens a query token matches, each with a match-quality weight
+function expandQueryToken(index, queryToken) {
+    if (index.expansions.has(queryToken)) return index.expansions.get(queryToken);
+    
+    const maxDistance = queryToken.length >= 7 ? 2 : queryToken.length >= 4 ? 1 : 0;
+    const expansions = new Map();
+    
+    index.vocabulary.forEach(token => {
+        if (token === queryToken) {
+            expansions.set(token, EXACT_MATCH_WEIGHT);
+        } else if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+            expansions.set(token, PREFIX_MATCH_WEIGHT);
+        } else if (maxDistance > 0) {
+            const distance = boundedEditDistance(queryToken, token, maxDistance);
+            if (distance !== Infinity) {
+                expansions.set(token, FUZZY_MATCH_WEIGHTS[distance]);
+            }
+        }
+    });
+    
+    index.expansions.set(queryToken, expansions);
+    return expansions;
+}
+
+// Run the free-text clauses of a query. Unquoted terms go through the index (every token of
+// every term must match); quoted phrases and negated terms use exact substring matching.
+// Returns the matching images (null when there are no text clauses), relevance scores and
+// the terms to highlight.
+function runTextSearch(images, clauses) {
+    const textClauses = clauses.filter(clause => clause.field === 'text');
+    const scores = new Map();
+    const terms = { words: new Set(), phrases: [] };
+    if (textClauses.length === 0) return { matches: null, scores, terms };
+    
+    let matches = null;
+    const intersect = (candidates) => {
+        matches = matches === null
+            ? candidates
+            : new Set([...matches].filter(image => candidates.has(image)));
+    };
+    
+    textClauses.filter(clause => !clause.negated).forEach(clause => {
+        const queryTokens = tokenize(clause.value);
+        
+        // Phrases, and terms without any word characters, match as exact substrings
+        if (clause.quoted || queryTokens.length === 0) {
+            const candidates = new Set(images.filter(image => image.searchableContent.includes(clause.value)));
+            candidates.forEach(image => scores.set(image, (scores.get(image) || 0) + 2));
+            terms.phrases.push(clause.value);
+            intersect(candidates);
+            return;
+        }
+        
+        const index = getSearchIndex(images);
+        queryTokens.forEach(queryToken => {
+            const best = new Map(); // image -> best score for this query token
+            expandQueryToken(index, queryToken).forEach((matchWeight, token) => {
+                terms.words.add(token);
+                index.postings.get(token).forEach((fieldWeight, image) => {
+                    best.set(image, Math.max(best.get(image) || 0, matchWeight * fieldWeight));
+                });
+            });
+            best.forEach((score, image) => scores.set(image, (scores.get(image) || 0) + score));
+            intersect(new Set(best.keys()));
+        });
+    });
+    
+    const excluded = textClauses.filter(clause => clause.negated);
+    const candidates = matches === null ? images : [...matches];
+    matches = new Set(candidates.filter(image => evaluateSearchQuery(excluded, image)));
+    
+    return { matches, scores, terms };
+}
+
+// Filter images by a parsed search query: text terms through the index, fields by evaluation
+function searchImages(images, parsedQuery) {
+    const clauses = parsedQuery ? parsedQuery.clauses : [];
+    const textSearch = runTextSearch(images, clauses);
+    const fieldClauses = clauses.filter(clause => clause.field !== 'text');
+    
+    const results = images.filter(image =>
+        (textSearch.matches === null || textSearch.matches.has(image)) &&
+        evaluateSearchQuery(fieldClauses, image)
+    );
+    
+    return { results, scores: textSearch.scores, terms: textSearch.terms };
+}
+
+// Lowercased character ranges of `text` matching highlight terms, merged and sorted
+function findHighlightRanges(text, terms) {
+    if (!terms || (terms.words.size === 0 && terms.phrases.length === 0)) return [];
+    
+    const ranges = [];
+    const lower = text.toLowerCase();
+    
+    for (const match of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (terms.words.has(match[0])) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    terms.phrases.forEach(phrase => {
+        for (let i = lower.indexOf(phrase); i !== -1; i = lower.indexOf(phrase, i + phrase.length)) {
+            ranges.push([i, i + phrase.length]);
+        }
+    });
+    
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+}
+
+// Render text with matched terms wrapped in <mark>
+function highlightText(text, terms) {
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    
+    findHighlightRanges(text, terms).forEach(([start, end]) => {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+        const mark = document.createElement("mark");
+        mark.textContent = text.slice(start, end);
+        mark.style.cssText = "background: #ffc940; color: #182026; border-radius: 2px; padding: 0 1px;";
+        fragment.appendChild(mark);
+        lastIndex = end;
+    });
+    
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    return fragment;
+}
+
+// Shorten text to about `length` characters, centred on the first highlighted match
+function getSnippet(text, terms, length = 80) {
+    const [firstMatch] = findHighlightRanges(text, terms);
+    const start = firstMatch ? Math.max(0, firstMatch[0] - Math.floor(length / 3)) : 0;
+    const snippet = text.slice(start, start + length);
+    return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+}
+
+// Image filter
+// The allow and deny lists from the settings panel hide images before search and facets apply.
+// With rules in the allow list only images matching one of them are shown; images matching a
+// deny rule are always hidden. The gallery can reveal hidden images for the session.
+
+// Parse a list of rules separated by spaces or commas into URL predicates. A rule is a
+// /regular expression/ (flags allowed) tested against the whole URL, a file extension such
+// as .gif, or else a domain glob such as *.example.com, where * matches any characters.
+function parseFilterRules(text) {
+    const tokens = (text || '').match(/\/(?:\\.|[^/\\])+\/[a-z]*(?=[\s,]|$)|[^\s,]+/gi) || [];
+    
+    return tokens.flatMap(token => {
+        const regexMatch = token.match(/^\/(.+)\/([a-z]*)$/i);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+                return [(url) => regex.test(url)];
+            } catch (error) {
+                console.error(`Ignoring invalid filter rule ${token}:`, error);
+                return [];
+            }
+        }
+        
+        if (/^\.[a-z0-9]+$/i.test(token)) {
+            const extension = token.slice(1).toLowerCase();
+            return [(url) => getUrlExtension(url) === extension];
+        }
+        
+        const glob = token.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        const domainRegex = new RegExp(`^${glob}$`);
+        return [(url) => domainRegex.test(getUrlHostname(url))];
+    });
+}
+
+let compiledImageFilter = null;
+
+// Rules of the current allow and deny lists, re-parsed when the settings change
+function getImageFilter() {
+    if (!compiledImageFilter || compiledImageFilter.allowList !== ALLOW_LIST || compiledImageFilter.denyList !== DENY_LIST) {
+        compiledImageFilter = {
+            allowList: ALLOW_LIST,
+            denyList: DENY_LIST,
+            allow: parseFilterRules(ALLOW_LIST),
+            deny: parseFilterRules(DENY_LIST)
+        };
+    }
+    return compiledImageFilter;
+}
+
+function isImageFiltered(image) {
+    const { allow, deny } = getImageFilter();
+    return (allow.length > 0 && !allow.some(rule => rule(image.url))) || deny.some(rule => rule(image.url));
+}
+
+// Images passing the filter. The result is cached per image list and filter, so unchanged
+// lists keep their search index (see getSearchIndex).
+const shownImagesCache = new WeakMap();
+
+function getShownImages(images) {
+    const filter = getImageFilter();
+    const cached = shownImagesCache.get(images);
+    if (cached && cached.filter === filter) return cached.shown;
+    
+    const shown = filter.allow.length > 0 || filter.deny.length > 0
+        ? images.filter(image => !isImageFiltered(image))
+        : images;
+    shownImagesCache.set(images, { filter, shown });
+    return shown;
+}
+
+// Facets
+// Selected facet values narrow the search results: values within a group are combined with
+// OR, groups with AND. `dates` is a { start, end } range of creation times (end exclusive).
+const FACET_GROUPS = [
+    { key: 'pages', label: 'Pages' },
+    { key: 'tags', label: 'Tags & references' },
+    { key: 'domains', label: 'Domains' },
+    { key: 'health', label: 'Health' }
+];
+
+const EMPTY_FACETS = { pages: [], tags: [], domains: [], health: [], dates: null };
+
+// Values an image has for a facet group
+function getFacetValues(image, group) {
+    switch (group) {
+        case 'pages':
+            return [image.pageTitle];
+        case 'tags':
+            return image.refs || [];
+        case 'domains':
+            return [image.domain || getUrlHostname(image.url)];
+        case 'health': {
+            const issues = getImageHealthIssues(image);
+            if (issues === null) return ['Not checked'];
+            if (issues.length === 0) return ['OK'];
+            return issues.map(issue => HEALTH_ISSUES.find(({ key }) => key === issue).label);
+        }
+        default:
+            return [];
+    }
+}
+
+function hasActiveFacets(facets) {
+    return FACET_GROUPS.some(({ key }) => facets[key].length > 0) || facets.dates !== null;
+}
+
+// Check an image against the selected facets, optionally ignoring one group
+function matchesFacets(image, facets, ignoredGroup = null) {
+    const groupsMatch = FACET_GROUPS.every(({ key }) =>
+        key === ignoredGroup ||
+        facets[key].length === 0 ||
+        getFacetValues(image, key).some(value => facets[key].includes(value))
+    );
+    if (!groupsMatch) return false;
+    
+    if (ignoredGroup === 'dates' || facets.dates === null) return true;
+    return image.createTime !== null &&
+        image.createTime >= facets.dates.start &&
+        image.createTime < facets.dates.end;
+}
+
+function filterByFacets(images, facets) {
+    return hasActiveFacets(facets) ? images.filter(image => matchesFacets(image, facets)) : images;
+}
+
+// Count images per value of a facet group. Counts ignore the group's own selection, so they
+// show how many results picking (or also picking) that value would give.
+function countFacetValues(images, facets, group) {
+    const counts = new Map();
+    images.forEach(image => {
+        if (!matchesFacets(image, facets, group)) return;
+        new Set(getFacetValues(image, group)).forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+    return counts;
+}
+
+// Bucket creation times for the date histogram: by month, or by year for long spans
+function computeDateHistogram(images, facets) {
+    const times = images.filter(image => image.createTime !== null).map(image => image.createTime);
+    if (times.length === 0) return { unit: 'month', buckets: [] };
+    
+    // A loop rather than Math.min(...times), which runs out of arguments on very large graphs
+    const range = times.reduce(
+        ({ min, max }, time) => ({ min: Math.min(min, time), max: Math.max(max, time) }),
+        { min: Infinity, max: -Infinity }
+    );
+    const first = new Date(range.min);
+    const last = new Date(range.max);
+    const months = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth();
+    const unit = months > 48 ? 'year' : 'month';
+    
+    const bucketStart = (date) => unit === 'year'
+        ? new Date(date.getFullYear(), 0, 1)
+        : new Date(date.getFullYear(), date.getMonth(), 1);
+    const nextBucket = (date) => unit === 'year'
+        ? new Date(date.getFullYear() + 1, 0, 1)
+        : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    
+    const buckets = [];
+    for (let date = bucketStart(first); date <= last; date = nextBucket(date)) {
+        buckets.push({ start: date.getTime(), end: nextBucket(date).getTime(), count: 0 });
+    }
+    
+    images.forEach(image => {
+        if (image.createTime === null || !matchesFacets(image, facets, 'dates')) return;
+        const bucket = buckets.find(b => image.createTime >= b.start && image.createTime < b.end);
+        if (bucket) bucket.count++;
+    });
+    
+    return { unit, buckets };
+}
+
+// Derive the visible result list (filtered, searched, narrowed by facets and sorted), the
+// search results the facet counts are based on, the highlight terms and the number of images
+// hidden by the image filter from the store state
+function computeGalleryView(state) {
+    const images = state.showFiltered ? state.images : getShownImages(state.images);
+    const { results, scores, terms } = searchImages(images, state.parsedQuery);
+    return {
+        view: sortImages(filterByFacets(results, state.facets), state.sortOrder, scores),
+        searchResults: results,
+        highlightTerms: terms,
+        filteredCount: state.images.length - getShownImages(state.images).length
+    };
+}
+
+// Identity of a set of highlight terms, to tell whether highlights need re-rendering
+function getHighlightKey(terms) {
+    return `${[...terms.words].sort().join(' ')}|${terms.phrases.join('|')}`;
+}
+
+function getTotalPages(state) {
+    return Math.max(1, Math.ceil(state.view.length / state.imagesPerPage));
+}
+
+// In-memory state for an open gallery: the loaded images, the derived view and the
+// display settings. UI pieces subscribe to the keys they render, so a page flip only
+// re-renders the grid and a keystroke never serializes the image list.
+function createGalleryStore(initialState) {
+    const listeners = new Set();
+    let state = {
+        images: [],
+        query: '',
+        sortOrder: SORT_ORDER,
+        page: 1,
+        imagesPerRow: IMAGES_PER_ROW,
+        imagesPerPage: IMAGES_PER_PAGE,
+        displayMode: DISPLAY_MODE,
+        layout: LAYOUT_MODE,
+        timelineGranularity: TIMELINE_GRANULARITY,
+        searchEnabled: false,
+        facets: EMPTY_FACETS,
+        facetsOpen: SHOW_FACETS,
+        selectable: false,
+        selection: new Set(), // Keys (see getImageKey) of selected images
+        selectionAnchor: null, // Key of the last toggled image, where shift-selection starts
+        showFiltered: false, // Whether images hidden by the image filter are revealed
+        healthVersion: 0, // Bumped when health results of the images change, see followImageHealth
+        ...initialState
+    };
+    state.parsedQuery = parseSearchQuery(state.query);
+    Object.assign(state, computeGalleryView(state));
+    
+    const VIEW_INPUTS = ['images', 'query', 'sortOrder', 'facets', 'showFiltered', 'healthVersion'];
+    
+    return {
+        getState: () => state,
+        
+        setState(patch) {
+            const previous = state;
+            state = { ...state, ...patch };
+            
+            if (state.query !== previous.query) {
+                state.parsedQuery = parseSearchQuery(state.query);
+            }
+            
+            // Recompute the view only when one of its inputs changed
+            if (VIEW_INPUTS.some(key => state[key] !== previous[key])) {
+                const { view, searchResults, highlightTerms, filteredCount } = computeGalleryView(state);
+                state.view = view;
+                state.searchResults = searchResults;
+                state.filteredCount = filteredCount;
+                // Keep the same terms object unless the highlighted words actually changed
+                if (getHighlightKey(highlightTerms) !== getHighlightKey(previous.highlightTerms)) {
+                    state.highlightTerms = highlightTerms;
+                }
+            }
+            
+            // Keep the page within range as the view shrinks or grows
+            state.page = Math.min(Math.max(1, state.page), getTotalPages(state));
+            
+            const changed = Object.keys(state).filter(key => state[key] !== previous[key]);
+            if (changed.length === 0) return;
+            
+            listeners.forEach(({ keys, listener }) => {
+                if (keys.some(key => changed.includes(key))) {
+                    listener(state, previous);
+                }
+            });
+        },
+        
+        // Subscribe to changes of the given state keys; returns an unsubscribe function
+        subscribe(keys, listener) {
+            const entry = { keys, listener };
+            listeners.add(entry);
+            return () => listeners.delete(entry);
+        }
+    };
+}
+
+// Open a block in the main window, or in the right sidebar
+function openBlockInRoam(uid, inSidebar = false) {
+    if (inSidebar) {
+        window.roamAlphaAPI.ui.rightSidebar.addWindow({
+            window: { type: 'block', 'block-uid': uid }
+        });
+    } else {
+        window.roamAlphaAPI.ui.mainWindow.openBlock({
+            block: { uid }
+        });
+    }
+}
+
+// Open a page by title in the main window, or in the right sidebar
+async function openPageInRoam(title, inSidebar = false) {
+    if (inSidebar) {
+        const pageUid = await window.roamAlphaAPI.q(
+            `[:find ?uid . :in $ ?title :where [?p :node/title ?title] [?p :block/uid ?uid]]`,
+            title
+        );
+        if (pageUid) {
+            window.roamAlphaAPI.ui.rightSidebar.addWindow({
+                window: { type: 'outline', 'block-uid': pageUid }
+            });
+        }
+    } else {
+        window.roamAlphaAPI.ui.mainWindow.openPage({
+            page: { title }
+        });
+    }
+}
+
+// Display name of a Roam user entity from a pull result
+function getUserName(user) {
+    if (!user) return null;
+    return user[":user/display-name"] ||
+        (user[":user/display-page"] && user[":user/display-page"][":node/title"]) ||
+        null;
+}
+
+// Fetch everything the lightbox info panel shows about a block: its string, page,
+// ordered breadcrumb of parents, children, timestamps and authors
+async function getBlockDetails(uid) {
+    try {
+        const block = await window.roamAlphaAPI.pull(`
+            [:block/uid :block/string :create/time :edit/time
+             {:block/page [:block/uid :node/title]}
+             {:block/children [:block/uid :block/string :block/order]}
+             {:create/user [:user/display-name {:user/display-page [:node/title]}]}
+             {:edit/user [:user/display-name {:user/display-page [:node/title]}]}]
+        `, [":block/uid", uid]);
+        if (!block) return null;
+        
+        // Walk up the parent chain so the breadcrumb is in outline order
+        const breadcrumb = [];
+        let currentUid = uid;
+        while (currentUid) {
+            const current = await window.roamAlphaAPI.pull(
+                `[{:block/_children [:block/uid :block/string :node/title]}]`,
+                [":block/uid", currentUid]
+            );
+            const parent = current && current[":block/_children"] && current[":block/_children"][0];
+            if (!parent) break;
+            breadcrumb.unshift({
+                uid: parent[":block/uid"],
+                string: parent[":block/string"] || '',
+                title: parent[":node/title"] || null
+            });
+            currentUid = parent[":node/title"] ? null : parent[":block/uid"];
+        }
+        
+        const page = block[":block/page"] || {};
+        return {
+            uid,
+            string: block[":block/string"] || '',
+            createTime: block[":create/time"] || null,
+            editTime: block[":edit/time"] || null,
+            createdBy: getUserName(block[":create/user"]),
+            editedBy: getUserName(block[":edit/user"]),
+            page: { uid: page[":block/uid"], title: page[":node/title"] },
+            breadcrumb,
+            children: (block[":block/children"] || [])
+                .sort((a, b) => (a[":block/order"] || 0) - (b[":block/order"] || 0))
+                .map(child => ({ uid: child[":block/uid"], string: child[":block/string"] || '' }))
+        };
+    } catch (error) {
+        console.error(`Error fetching details for block ${uid}:`, error);
+        return null;
+    }
+}
+
+// Create a link-styled element; shift-click opens the target in the right sidebar
+function createRoamLink(text, onOpen) {
+    const link = document.createElement("a");
+    link.textContent = text;
+    link.title = "Click to open, Shift+click to open in the sidebar";
+    link.style.cssText = "color: #48aff0; cursor: pointer; text-decoration: none;";
+    link.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onOpen(e.shiftKey);
+    };
+    return link;
+}
+
+// Render Roam block text with clickable ((block refs)) and [[page refs]], highlighting
+// search terms in the plain text between them
+function renderRoamText(text, highlightTerms = null) {
+    const fragment = document.createDocumentFragment();
+    const refRegex = /\(\(([\w-]{9})\)\)|\[\[([^\[\]]+)\]\]/g;
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = refRegex.exec(text)) !== null) {
+        fragment.appendChild(highlightText(text.slice(lastIndex, match.index), highlightTerms));
+        if (match[1]) {
+            const uid = match[1];
+            fragment.appendChild(createRoamLink(`((${uid}))`, (inSidebar) => openBlockInRoam(uid, inSidebar)));
+        } else {
+            const title = match[2];
+            fragment.appendChild(createRoamLink(`[[${title}]]`, (inSidebar) => openPageInRoam(title, inSidebar)));
+        }
+        lastIndex = match.index + match[0].length;
+    }
+    
+    fragment.appendChild(highlightText(text.slice(lastIndex), highlightTerms));
+    return fragment;
+}
+
+// Side panel for the lightbox showing where an image comes from.
+// `highlightTerms` are the gallery's current search terms, marked in the block texts.
+function createImageInfoPanel(highlightTerms = null) {
+    const element = document.createElement("div");
+    element.style.cssText = `
+        width: 340px;
+        flex-shrink: 0;
+        align-self: stretch;
+        margin: 20px 0 0 24px;
+        padding: 16px;
+        overflow-y: auto;
+        background: rgba(255, 255, 255, 0.08);
+        border-radius: 8px;
+        color: #f5f8fa;
+        font-size: 13px;
+        line-height: 1.5;
+        cursor: default;
+    `;
+    element.onclick = (e) => e.stopPropagation();
+    
+    let requestId = 0;
+    let dimensionsValue = null;
+    
+    const addSection = (label, content) => {
+        const section = document.createElement("div");
+        section.style.cssText = "margin-bottom: 14px;";
+        
+        const heading = document.createElement("div");
+        heading.textContent = label;
+        heading.style.cssText = "font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; opacity: 0.6; margin-bottom: 4px;";
+        
+        section.appendChild(heading);
+        section.appendChild(content);
+        element.appendChild(section);
+        return section;
+    };
+    
+    const textBlock = (content) => {
+        const div = document.createElement("div");
+        div.style.cssText = "white-space: pre-wrap; word-break: break-word;";
+        if (typeof content === 'string') {
+            div.textContent = content;
+        } else {
+            div.appendChild(content);
+        }
+        return div;
+    };
+    
+    // A block's text with a button to open the block itself
+    const blockItem = (uid, string) => {
+        const item = document.createElement("div");
+        item.style.cssText = "display: flex; gap: 6px; align-items: flex-start; margin-bottom: 4px;";
+        
+        const open = createRoamLink("•", (inSidebar) => openBlockInRoam(uid, inSidebar));
+        open.style.cssText += "font-weight: bold;";
+        
+        const text = textBlock(renderRoamText(string || '', highlightTerms));
+        text.style.flex = "1";
+        
+        item.appendChild(open);
+        item.appendChild(text);
+        return item;
+    };
+    
+    const formatTime = (time, user) => {
+        if (!time) return 'Unknown';
+        const date = new Date(time).toLocaleString();
+        return user ? `${date} by ${user}` : date;
+    };
+    
+    const update = async (image) => {
+        const currentRequest = ++requestId;
+        element.innerHTML = "";
+        dimensionsValue = null;
+        
+        // Image details are known immediately
+        const imageInfo = document.createElement("div");
+        const urlLink = document.createElement("a");
+        urlLink.href = image.url;
+        urlLink.target = "_blank";
+        urlLink.rel = "noopener noreferrer";
+        urlLink.textContent = image.url;
+        urlLink.style.cssText = "color: #48aff0; word-break: break-all;";
+        urlLink.onclick = (e) => e.stopPropagation();
+        dimensionsValue = document.createElement("div");
+        dimensionsValue.style.opacity = "0.8";
+        dimensionsValue.textContent = image.width && image.height ? `${image.width} × ${image.height} px` : 'Loading dimensions...';
+        imageInfo.appendChild(urlLink);
+        imageInfo.appendChild(dimensionsValue);
+        if (image.alt) {
+            const alt = document.createElement("div");
+            alt.style.opacity = "0.8";
+            alt.appendChild(document.createTextNode("Alt text: "));
+            alt.appendChild(highlightText(image.alt, highlightTerms));
+            imageInfo.appendChild(alt);
+        }
+        if (image.source) {
+            const source = document.createElement("div");
+            source.style.opacity = "0.8";
+            source.textContent = `Syntax: ${image.source}`;
+            imageInfo.appendChild(source);
+        }
+        
+        const loadingNote = textBlock("Loading block context...");
+        loadingNote.style.opacity = "0.6";
+        element.appendChild(loadingNote);
+        
+        const details = await getBlockDetails(image.uid);
+        if (currentRequest !== requestId) return;
+        element.innerHTML = "";
+        
+        if (!details) {
+            addSection("Page", textBlock(highlightText(image.pageTitle, highlightTerms)));
+            addSection("Image", imageInfo);
+            addSection("Block", textBlock("This block could not be loaded. It may have been deleted."));
+            return;
+        }
+        
+        const pageTitle = details.page.title || image.pageTitle;
+        const pageLink = createRoamLink("", (inSidebar) => openPageInRoam(pageTitle, inSidebar));
+        pageLink.appendChild(highlightText(pageTitle, highlightTerms));
+        addSection("Page", pageLink);
+        
+        // Parent blocks, outermost first (the page itself is shown above)
+        const parents = details.breadcrumb.filter(parent => !parent.title);
+        if (parents.length > 0) {
+            const breadcrumb = document.createElement("div");
+            parents.forEach(parent => breadcrumb.appendChild(blockItem(parent.uid, parent.string)));
+            addSection("Breadcrumb", breadcrumb);
+        }
+        
+        addSection("Source block", blockItem(details.uid, details.string));
+        
+        if (details.children.length > 0) {
+            const children = document.createElement("div");
+            details.children.forEach(child => children.appendChild(blockItem(child.uid, child.string)));
+            addSection(`Children (${details.children.length})`, children);
+        }
+        
+        addSection("Created", textBlock(formatTime(details.createTime, details.createdBy)));
+        addSection("Edited", textBlock(formatTime(details.editTime, details.editedBy)));
+        addSection("Image", imageInfo);
+    };
+    
+    const setDimensions = (width, height) => {
+        if (dimensionsValue && width && height) {
+            dimensionsValue.textContent = `${width} × ${height} px`;
+        }
+    };
+    
+    return { element, update, setDimensions };
+}
+
+let closeOpenLightbox = null; // Closes the open lightbox and removes its window listeners
+
+// Create lightbox for zoomed image view.
+// `images` is the current result list and `startIndex` the image to show first; the arrow
+// buttons, arrow keys, swipes and the slideshow all step through that list.
+// `highlightTerms` are search terms to mark in the info panel.
+function createLightbox(images, startIndex = 0, { highlightTerms = null } = {}) {
+    // Close existing lightbox if any
+    if (closeOpenLightbox) closeOpenLightbox();
+    
+    let index = startIndex;
+    let slideshowTimer = null;
+    
+    const lightbox = document.createElement("div");
+    lightbox.id = LIGHTBOX_ID;
+    lightbox.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 2000;
+        cursor: zoom-out;
+        padding: 40px;
+    `;
+    
+    // Container for image and toolbar
+    const contentContainer = document.createElement("div");
+    contentContainer.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 20px;
+        flex: 1;
+        min-width: 0;
+        height: 90%;
+    `;
+    
+    // Stage clips the image while it is zoomed, panned or rotated
+    const stage = document.createElement("div");
+    stage.style.cssText = `
+        position: relative;
+        flex: 1;
+        min-height: 0;
+        width: 100%;
+        overflow: hidden;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        touch-action: none;
+    `;
+    
+    const img = document.createElement("img");
+    img.draggable = false;
+    img.style.cssText = `
+        max-width: 100%;
+        max-height: 100%;
+        object-fit: contain;
+        box-shadow: 0 0 50px rgba(0, 0, 0, 0.5);
+        cursor: default;
+        transform-origin: center;
+        user-select: none;
+    `;
+    
+    // Image counter
+    const counter = document.createElement("div");
+    counter.style.cssText = `
+        position: absolute;
+        top: 24px;
+        left: 24px;
+        color: rgba(255, 255, 255, 0.8);
+        font-size: 14px;
+    `;
+    
+    // Previous / next buttons
+    const createNavButton = (icon, side, title) => {
+        const button = document.createElement("button");
+        button.className = `bp3-button bp3-minimal bp3-large bp3-icon-${icon}`;
+        button.title = title;
+        button.style.cssText = `
+            position: absolute;
+            top: 50%;
+            ${side}: 20px;
+            transform: translateY(-50%);
+            color: white;
+        `;
+        return button;
+    };
+    
+    const prevBtn = createNavButton("chevron-left", "left", "Previous image (←)");
+    const nextBtn = createNavButton("chevron-right", "right", "Next image (→)");
+    
+    // Toolbar below the image
+    const toolbar = document.createElement("div");
+    toolbar.style.cssText = "display: flex; align-items: center; gap: 12px;";
+    
+    // Copy to clipboard button
+    const copyBtn = document.createElement("button");
+    copyBtn.className = "bp3-button bp3-intent-primary";
+    copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-duplicate"></span> Copy Image to Clipboard';
+    copyBtn.style.cssText = `
+        background: rgba(255, 255, 255, 0.9);
+        color: #106ba3;
+        font-weight: 500;
+        padding: 10px 20px;
+        border-radius: 4px;
+        cursor: pointer;
+        transition: all 0.2s;
+    `;
     
     copyBtn.onmouseover = () => {
         copyBtn.style.background = "rgba(255, 255, 255, 1)";
         copyBtn.style.transform = "scale(1.05)";
     };
     
-    copyBtn.onmouseout = () => {
-        copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
-        copyBtn.style.transform = "scale(1)";
+    copyBtn.onmouseout = () => {
+        copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
+        copyBtn.style.transform = "scale(1)";
+    };
+    
+    copyBtn.onclick = async (e) => {
+        e.stopPropagation();
+        
+        try {
+            // Fetch the image and convert to blob
+            const response = await fetch(images[index].url);
+            const blob = await response.blob();
+            
+            // Create clipboard item
+            const clipboardItem = new ClipboardItem({
+                [blob.type]: blob
+            });
+            
+            // Copy to clipboard
+            await navigator.clipboard.write([clipboardItem]);
+            
+            // Show success feedback
+            const originalText = copyBtn.innerHTML;
+            copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-tick"></span> Copied!';
+            copyBtn.style.background = "#0f9960";
+            copyBtn.style.color = "white";
+            
+            setTimeout(() => {
+                copyBtn.innerHTML = originalText;
+                copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
+                copyBtn.style.color = "#106ba3";
+            }, 2000);
+        } catch (error) {
+            console.error("Failed to copy image:", error);
+            
+            // Show error feedback
+            const originalText = copyBtn.innerHTML;
+            copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-error"></span> Copy failed';
+            copyBtn.style.background = "#db3737";
+            copyBtn.style.color = "white";
+            
+            setTimeout(() => {
+                copyBtn.innerHTML = originalText;
+                copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
+                copyBtn.style.color = "#106ba3";
+            }, 2000);
+        }
+    };
+    
+    // Slideshow play/pause button
+    const slideshowBtn = document.createElement("button");
+    slideshowBtn.className = "bp3-button";
+    slideshowBtn.style.cssText = `
+        background: rgba(255, 255, 255, 0.9);
+        color: #106ba3;
+        padding: 10px 16px;
+        border-radius: 4px;
+    `;
+    
+    // Slideshow interval selector
+    const intervalSelector = document.createElement("select");
+    intervalSelector.className = "bp3-select";
+    intervalSelector.title = "Slideshow interval";
+    
+    [2, 3, 5, 10, 30].forEach(seconds => {
+        const option = document.createElement("option");
+        option.value = seconds;
+        option.textContent = `${seconds}s`;
+        if (seconds === SLIDESHOW_INTERVAL) option.selected = true;
+        intervalSelector.appendChild(option);
+    });
+    
+    // Zoom, pan and rotation of the current image. Scale 1 is the image fitted to the
+    // stage; the transform resets whenever another image is shown.
+    const MIN_SCALE = 0.1;
+    const MAX_SCALE = 20;
+    let transform = { scale: 1, x: 0, y: 0, rotation: 0 };
+    
+    const zoomLabel = document.createElement("span");
+    zoomLabel.style.cssText = "color: white; font-size: 12px; min-width: 44px; text-align: center;";
+    
+    // Ratio between the fitted image and its natural pixel size
+    const getBaseScale = () => img.naturalWidth ? img.offsetWidth / img.naturalWidth : 1;
+    
+    // Scale that fits the image inside the stage at the current rotation
+    const getFitScale = () => {
+        if (transform.rotation % 180 === 0 || !img.offsetWidth || !img.offsetHeight) return 1;
+        return Math.min(stage.clientWidth / img.offsetHeight, stage.clientHeight / img.offsetWidth, 1 / getBaseScale());
+    };
+    
+    const isZoomed = () => transform.scale > getFitScale() + 0.01;
+    
+    const applyTransform = () => {
+        img.style.transform = `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale}) rotate(${transform.rotation}deg)`;
+        img.style.cursor = isZoomed() ? "grab" : "default";
+        zoomLabel.textContent = `${Math.round(transform.scale * getBaseScale() * 100)}%`;
+    };
+    
+    // Zoom keeping the point under (clientX, clientY) in place; defaults to the stage centre
+    const zoomAt = (scale, clientX, clientY) => {
+        const rect = stage.getBoundingClientRect();
+        const px = clientX === undefined ? 0 : clientX - (rect.left + rect.width / 2);
+        const py = clientY === undefined ? 0 : clientY - (rect.top + rect.height / 2);
+        const newScale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        
+        transform.x = px - (px - transform.x) * newScale / transform.scale;
+        transform.y = py - (py - transform.y) * newScale / transform.scale;
+        transform.scale = newScale;
+        applyTransform();
+    };
+    
+    const fitToScreen = () => {
+        transform = { ...transform, scale: getFitScale(), x: 0, y: 0 };
+        applyTransform();
+    };
+    
+    const showActualSize = () => {
+        transform = { ...transform, scale: 1 / getBaseScale(), x: 0, y: 0 };
+        applyTransform();
+    };
+    
+    const rotate = (degrees) => {
+        transform.rotation = (transform.rotation + degrees + 360) % 360;
+        fitToScreen();
+    };
+    
+    const resetTransform = () => {
+        transform = { scale: 1, x: 0, y: 0, rotation: 0 };
+        applyTransform();
+    };
+    
+    // Zoom controls
+    const createToolButton = (icon, title, onClick, text = "") => {
+        const button = document.createElement("button");
+        button.className = `bp3-button bp3-minimal bp3-small${icon ? ` bp3-icon-${icon}` : ""}`;
+        button.title = title;
+        button.textContent = text;
+        button.style.cssText = "color: white;";
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    };
+    
+    const zoomControls = document.createElement("div");
+    zoomControls.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 2px 6px;
+        background: rgba(255, 255, 255, 0.15);
+        border-radius: 4px;
+    `;
+    zoomControls.appendChild(createToolButton("zoom-out", "Zoom out (-)", () => zoomAt(transform.scale / 1.25)));
+    zoomControls.appendChild(zoomLabel);
+    zoomControls.appendChild(createToolButton("zoom-in", "Zoom in (+)", () => zoomAt(transform.scale * 1.25)));
+    zoomControls.appendChild(createToolButton(null, "Actual pixels (1)", showActualSize, "1:1"));
+    zoomControls.appendChild(createToolButton("zoom-to-fit", "Fit to screen (0)", fitToScreen));
+    zoomControls.appendChild(createToolButton("image-rotate-left", "Rotate left (Shift+R)", () => rotate(-90)));
+    zoomControls.appendChild(createToolButton("image-rotate-right", "Rotate right (R)", () => rotate(90)));
+    
+    // Mouse wheel zooms around the cursor
+    stage.addEventListener("wheel", (e) => {
+        e.preventDefault();
+        zoomAt(transform.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+    
+    // Drag to pan and two-finger pinch to zoom, using pointer events for mouse and touch alike
+    const pointers = new Map();
+    let drag = null;
+    let pinch = null;
+    let dragged = false;
+    
+    const pointerDistance = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+    
+    stage.addEventListener("pointerdown", (e) => {
+        if (e.target.closest("button")) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        dragged = false;
+        
+        if (pointers.size === 2) {
+            pinch = { distance: pointerDistance([...pointers.values()]), scale: transform.scale };
+            drag = null;
+        } else if (pointers.size === 1) {
+            drag = { x: e.clientX, y: e.clientY, startX: transform.x, startY: transform.y };
+        }
+    });
+    
+    // Moves and releases are tracked on the window so a drag can leave the stage
+    const onPointerMove = (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        if (pinch && pointers.size === 2) {
+            const points = [...pointers.values()];
+            const midX = (points[0].x + points[1].x) / 2;
+            const midY = (points[0].y + points[1].y) / 2;
+            zoomAt(pinch.scale * pointerDistance(points) / pinch.distance, midX, midY);
+            dragged = true;
+        } else if (drag && isZoomed()) {
+            transform.x = drag.startX + e.clientX - drag.x;
+            transform.y = drag.startY + e.clientY - drag.y;
+            if (Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 3) dragged = true;
+            img.style.cursor = "grabbing";
+            applyTransform();
+        }
+    };
+    
+    const endPointer = (e) => {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) pinch = null;
+        if (pointers.size === 0) drag = null;
+    };
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerup", endPointer);
+    window.addEventListener("pointercancel", endPointer);
+    
+    // Clicking the empty stage around the image closes the lightbox, unless it ended a drag
+    stage.onclick = (e) => {
+        if (e.target === stage && !dragged) {
+            closeLightbox();
+        }
+    };
+    
+    // Block context and metadata panel, toggled with the Info button or the I key
+    const infoPanel = createImageInfoPanel(highlightTerms);
+    let showInfoPanel = localStorage.getItem('imager-lightbox-info') !== 'hidden';
+    
+    const infoBtn = document.createElement("button");
+    infoBtn.className = "bp3-button bp3-minimal bp3-icon-info-sign";
+    infoBtn.title = "Show block context (I)";
+    infoBtn.style.cssText = "color: white;";
+    
+    const updateInfoPanel = () => {
+        infoPanel.element.style.display = showInfoPanel ? "block" : "none";
+        infoBtn.classList.toggle("bp3-active", showInfoPanel);
+    };
+    
+    const toggleInfoPanel = () => {
+        showInfoPanel = !showInfoPanel;
+        localStorage.setItem('imager-lightbox-info', showInfoPanel ? 'visible' : 'hidden');
+        updateInfoPanel();
+    };
+    
+    infoBtn.onclick = (e) => {
+        e.stopPropagation();
+        toggleInfoPanel();
+    };
+    
+    // Fit again once the new image has its natural size
+    img.onload = () => {
+        applyTransform();
+        infoPanel.setDimensions(img.naturalWidth, img.naturalHeight);
+    };
+    
+    // Show the image at `newIndex`, wrapping around at either end
+    const showImage = (newIndex) => {
+        index = (newIndex + images.length) % images.length;
+        const image = images[index];
+        resetTransform();
+        img.src = image.url;
+        img.alt = image.alt;
+        counter.textContent = `${index + 1} / ${images.length}`;
+        infoPanel.update(image);
+        
+        // Preload the neighbouring images so stepping feels instant
+        [index - 1, index + 1].forEach(neighbour => {
+            const preload = new Image();
+            preload.src = images[(neighbour + images.length) % images.length].url;
+        });
+    };
+    
+    const updateSlideshowButton = () => {
+        slideshowBtn.innerHTML = slideshowTimer
+            ? '<span class="bp3-icon bp3-icon-pause"></span> Pause'
+            : '<span class="bp3-icon bp3-icon-play"></span> Slideshow';
+    };
+    
+    const stopSlideshow = () => {
+        clearInterval(slideshowTimer);
+        slideshowTimer = null;
+        updateSlideshowButton();
+    };
+    
+    const startSlideshow = () => {
+        clearInterval(slideshowTimer);
+        slideshowTimer = setInterval(() => {
+            if (!lightbox.isConnected) {
+                closeLightbox();
+                return;
+            }
+            showImage(index + 1);
+        }, SLIDESHOW_INTERVAL * 1000);
+        updateSlideshowButton();
+    };
+    
+    // Manual navigation restarts a running slideshow so the new image gets a full interval
+    const step = (delta) => {
+        showImage(index + delta);
+        if (slideshowTimer) startSlideshow();
+    };
+    
+    const closeLightbox = () => {
+        stopSlideshow();
+        window.removeEventListener("keydown", keyHandler, true);
+        window.removeEventListener("pointermove", onPointerMove);
+        window.removeEventListener("pointerup", endPointer);
+        window.removeEventListener("pointercancel", endPointer);
+        lightbox.remove();
+        if (closeOpenLightbox === closeLightbox) closeOpenLightbox = null;
+    };
+    
+    prevBtn.onclick = (e) => {
+        e.stopPropagation();
+        step(-1);
+    };
+    
+    nextBtn.onclick = (e) => {
+        e.stopPropagation();
+        step(1);
+    };
+    
+    slideshowBtn.onclick = (e) => {
+        e.stopPropagation();
+        if (slideshowTimer) {
+            stopSlideshow();
+        } else {
+            startSlideshow();
+        }
+    };
+    
+    intervalSelector.onclick = (e) => e.stopPropagation();
+    intervalSelector.onchange = (e) => {
+        SLIDESHOW_INTERVAL = parseInt(e.target.value);
+        // Store preference
+        localStorage.setItem('imager-slideshow-interval', SLIDESHOW_INTERVAL);
+        if (slideshowTimer) startSlideshow();
+    };
+    
+    // Close button
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "bp3-button bp3-minimal bp3-icon-cross";
+    closeBtn.style.cssText = `
+        position: absolute;
+        top: 20px;
+        right: 20px;
+        color: white;
+        font-size: 24px;
+    `;
+    closeBtn.onclick = () => closeLightbox();
+    
+    // Close on background click
+    lightbox.onclick = (e) => {
+        if (e.target === lightbox) {
+            closeLightbox();
+        }
+    };
+    
+    // Prevent closing when clicking on image or toolbar
+    contentContainer.onclick = (e) => {
+        e.stopPropagation();
+    };
+    
+    // Swipe left/right on touch screens
+    let touchStart = null;
+    lightbox.addEventListener("touchstart", (e) => {
+        touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+    }, { passive: true });
+    lightbox.addEventListener("touchend", (e) => {
+        if (!touchStart) return;
+        const dx = e.changedTouches[0].clientX - touchStart.x;
+        const dy = e.changedTouches[0].clientY - touchStart.y;
+        touchStart = null;
+        // While zoomed in, a swipe pans the image instead of changing it
+        if (!isZoomed() && !dragged && Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+            step(dx < 0 ? 1 : -1);
+        }
+    });
+    
+    // Keyboard: Escape closes, arrows navigate, space toggles the slideshow, +/-/0/1/R zoom and
+    // rotate, I toggles the info panel.
+    // Handled in the capture phase so the gallery popup and Roam do not also react.
+    const keyHandler = (e) => {
+        if (!lightbox.isConnected) {
+            closeLightbox();
+            return;
+        }
+        
+        if (e.key === "Escape") {
+            closeLightbox();
+        } else if (e.key === "ArrowLeft") {
+            step(-1);
+        } else if (e.key === "ArrowRight") {
+            step(1);
+        } else if (e.key === " ") {
+            slideshowBtn.click();
+        } else if (e.key === "+" || e.key === "=") {
+            zoomAt(transform.scale * 1.25);
+        } else if (e.key === "-") {
+            zoomAt(transform.scale / 1.25);
+        } else if (e.key === "0") {
+            fitToScreen();
+        } else if (e.key === "1") {
+            showActualSize();
+        } else if (e.key === "r" || e.key === "R") {
+            rotate(e.shiftKey ? -90 : 90);
+        } else if (e.key === "i" || e.key === "I") {
+            toggleInfoPanel();
+        } else {
+            return;
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+    };
+    window.addEventListener("keydown", keyHandler, true);
+    
+    if (images.length <= 1) {
+        prevBtn.style.display = "none";
+        nextBtn.style.display = "none";
+        slideshowBtn.style.display = "none";
+        intervalSelector.style.display = "none";
+    }
+    
+    showImage(index);
+    updateSlideshowButton();
+    updateInfoPanel();
+    
+    toolbar.appendChild(zoomControls);
+    toolbar.appendChild(copyBtn);
+    toolbar.appendChild(slideshowBtn);
+    toolbar.appendChild(intervalSelector);
+    toolbar.appendChild(infoBtn);
+    stage.appendChild(img);
+    stage.appendChild(prevBtn);
+    stage.appendChild(nextBtn);
+    contentContainer.appendChild(stage);
+    contentContainer.appendChild(toolbar);
+    lightbox.appendChild(contentContainer);
+    lightbox.appendChild(infoPanel.element);
+    lightbox.appendChild(counter);
+    lightbox.appendChild(closeBtn);
+    document.body.appendChild(lightbox);
+    closeOpenLightbox = closeLightbox;
+}
+
+// Image menu
+// Actions for a single thumbnail, opened by right-clicking it or from its "…" button.
+// Inserting goes into the block that was last being edited, at the cursor position it had
+// when it lost focus (usually when the gallery was opened).
+const IMAGE_MENU_ID = "imager-image-menu";
+let lastEditedBlock = null; // { uid, start, end } of the last block edited in Roam
+let stopEditTracking = null;
+let closeOpenImageMenu = null; // Closes the open image menu and removes its listeners
+
+// Get the block uid from the id of a Roam block element ("block-input-<window>-<uid>").
+// Uids are usually 9 characters but blocks made through the API can have any uid, and the
+// window part and uids can contain dashes, so try the suffixes after each dash, longest
+// first, and take the first one that names a block.
+async function getBlockUidFromElementId(id) {
+    const parts = id.split('-');
+    for (let i = 1; i < parts.length; i++) {
+        const candidate = parts.slice(i).join('-');
+        const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", candidate]);
+        if (block && block[":block/string"] !== undefined) return candidate;
+    }
+    return null;
+}
+
+// Remember the block and cursor position whenever a Roam block editor loses focus
+function startEditTracking() {
+    const onFocusOut = async (e) => {
+        const textarea = e.target;
+        if (!textarea.matches || !textarea.matches("textarea.rm-block-input")) return;
+        const { selectionStart: start, selectionEnd: end } = textarea;
+        const uid = await getBlockUidFromElementId(textarea.id);
+        if (uid) lastEditedBlock = { uid, start, end };
+    };
+    document.addEventListener("focusout", onFocusOut, true);
+    stopEditTracking = () => document.removeEventListener("focusout", onFocusOut, true);
+}
+
+function getImageMarkdown(image) {
+    return `![${image.alt || ''}](${image.url})`;
+}
+
+// Insert an image's Markdown at the remembered cursor position of the last edited block,
+// replacing any text that was selected there. Returns false when there is no such block.
+async function insertImageAtCursor(image) {
+    if (!lastEditedBlock) return false;
+    const { uid } = lastEditedBlock;
+    const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", uid]);
+    if (!block) return false;
+    
+    const string = block[":block/string"] || '';
+    const start = Math.min(lastEditedBlock.start, string.length);
+    const end = Math.max(start, Math.min(lastEditedBlock.end, string.length));
+    const markdown = getImageMarkdown(image);
+    await window.roamAlphaAPI.updateBlock({
+        block: { uid, string: string.slice(0, start) + markdown + string.slice(end) }
+    });
+    
+    // Further inserts go after this one
+    lastEditedBlock = { uid, start: start + markdown.length, end: start + markdown.length };
+    return true;
+}
+
+function closeImageMenu() {
+    if (closeOpenImageMenu) closeOpenImageMenu();
+}
+
+// Show the action menu for an image at a viewport position
+function showImageMenu(image, x, y) {
+    closeImageMenu();
+    
+    const menu = document.createElement("div");
+    menu.id = IMAGE_MENU_ID;
+    menu.className = "bp3-popover";
+    menu.style.cssText = `
+        position: fixed;
+        left: ${x}px;
+        top: ${y}px;
+        z-index: 2001;
+        margin: 0;
+    `;
+    
+    const list = document.createElement("ul");
+    list.className = "bp3-menu";
+    list.style.minWidth = "260px";
+    
+    // Close on the next click, scroll or key outside the menu
+    const onOutside = (e) => {
+        if (e.type === "keydown" && e.key !== "Escape") return;
+        if (e.type !== "keydown" && menu.contains(e.target)) return;
+        if (e.type === "keydown") {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+        close();
+    };
+    const close = () => {
+        menu.remove();
+        document.removeEventListener("mousedown", onOutside, true);
+        document.removeEventListener("scroll", onOutside, true);
+        window.removeEventListener("keydown", onOutside, true);
+        if (closeOpenImageMenu === close) closeOpenImageMenu = null;
+    };
+    closeOpenImageMenu = close;
+    document.addEventListener("mousedown", onOutside, true);
+    document.addEventListener("scroll", onOutside, true);
+    window.addEventListener("keydown", onOutside, true);
+    
+    // `onClick` may return a short confirmation to show in place of the label before closing
+    const addItem = (text, icon, onClick, { disabled = false, title = '' } = {}) => {
+        const item = document.createElement("li");
+        const link = document.createElement("a");
+        link.className = `bp3-menu-item bp3-icon-${icon}${disabled ? ' bp3-disabled' : ''}`;
+        link.textContent = text;
+        if (title) link.title = title;
+        link.onclick = async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (disabled) return;
+            try {
+                const confirmation = await onClick();
+                if (confirmation) {
+                    link.textContent = confirmation;
+                    setTimeout(close, 800);
+                } else {
+                    close();
+                }
+            } catch (error) {
+                console.error(`Failed to ${text.toLowerCase()}:`, error);
+                link.textContent = `${text} failed`;
+                setTimeout(close, 1500);
+            }
+        };
+        item.appendChild(link);
+        list.appendChild(item);
+    };
+    
+    const addDivider = () => {
+        const divider = document.createElement("li");
+        divider.className = "bp3-menu-divider";
+        list.appendChild(divider);
+    };
+    
+    const copy = (text) => async () => {
+        await navigator.clipboard.writeText(text);
+        return "Copied";
+    };
+    
+    addItem("Go to source block", "arrow-right", () => openBlockInRoam(image.uid));
+    addItem("Open source block in sidebar", "add-column-right", () => openBlockInRoam(image.uid, true));
+    addItem(`Open page "${image.pageTitle}"`, "document-open", () => openPageInRoam(image.pageTitle));
+    addDivider();
+    addItem("Copy block reference", "link", copy(`((${image.uid}))`));
+    addItem("Copy block embed", "duplicate", copy(`{{embed: ((${image.uid}))}}`));
+    addItem("Copy as Markdown image", "media", copy(getImageMarkdown(image)));
+    addItem("Copy image URL", "globe-network", copy(image.url));
+    addDivider();
+    addItem("Insert into last edited block", "insert", async () => {
+        if (!await insertImageAtCursor(image)) throw new Error("The last edited block no longer exists");
+        return "Inserted";
+    }, {
+        disabled: !lastEditedBlock,
+        title: lastEditedBlock
+            ? `Insert the image at the cursor in ((${lastEditedBlock.uid}))`
+            : "Edit a block first, then open the gallery"
+    });
+    
+    menu.appendChild(list);
+    document.body.appendChild(menu);
+    
+    // Keep the menu inside the viewport
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) menu.style.left = `${Math.max(0, window.innerWidth - rect.width - 4)}px`;
+    if (rect.bottom > window.innerHeight) menu.style.top = `${Math.max(0, window.innerHeight - rect.height - 4)}px`;
+}
+
+// Create a single thumbnail card with hover info and navigation.
+// `onOpen` opens the lightbox for this image; `onMeasured` is called the first time the
+// image's natural size becomes known; `highlightTerms` are search terms to mark in the
+// hover info, which then also shows the matching part of the block. With `onSelect` the
+// card gets a selection checkbox; shift- and Cmd/Ctrl-clicks select instead of opening.
+function createImageCard(image, { onOpen, onMeasured, highlightTerms = null, onSelect = null } = {}) {
+    const imageContainer = document.createElement("div");
+    imageContainer.dataset.imagerKey = getImageKey(image);
+    imageContainer.style.cssText = `
+        position: relative;
+        background: #f0f0f0;
+        border-radius: 8px;
+        overflow: hidden;
+        cursor: zoom-in;
+        transition: transform 0.2s;
+        width: 100%;
+    `;
+    
+    imageContainer.tabIndex = 0; // Reachable with the gallery's arrow-key navigation
+    
+    imageContainer.onmouseover = () => {
+        imageContainer.style.transform = "scale(1.02)";
+    };
+    
+    imageContainer.onmouseout = () => {
+        imageContainer.style.transform = "scale(1)";
+    };
+    
+    // Focus uses an outline outside the box-shadow ring that marks selected cards, so the two
+    // can be told apart and leaving a selected card keeps it marked
+    imageContainer.onfocus = () => {
+        imageContainer.style.outline = "2px dashed #48aff0";
+        imageContainer.style.outlineOffset = "4px";
+    };
+    
+    imageContainer.onblur = () => {
+        imageContainer.style.outline = "";
+    };
+    
+    const img = document.createElement("img");
+    img.src = image.url;
+    img.alt = image.alt;
+    img.style.cssText = `
+        width: 100%;
+        height: auto;
+        display: block;
+    `;
+    
+    // Remember the natural size so layouts can use the real aspect ratio
+    img.onload = () => {
+        recordThumbnailLoad(image.url, true);
+        if ((!image.width || !image.height) && img.naturalWidth > 0 && img.naturalHeight > 0) {
+            image.width = img.naturalWidth;
+            image.height = img.naturalHeight;
+            persistImageDimensions(image);
+            if (onMeasured) onMeasured(image);
+        }
+    };
+    
+    img.onerror = () => {
+        recordThumbnailLoad(image.url, false);
+        img.style.display = "none";
+        const placeholder = document.createElement("div");
+        placeholder.style.cssText = `
+            width: 100%;
+            height: 200px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: #e0e0e0;
+            color: #666;
+            font-size: 14px;
+            text-align: center;
+            padding: 8px;
+        `;
+        placeholder.textContent = "Image not found";
+        imageContainer.appendChild(placeholder);
+    };
+    
+    // Click to zoom
+    imageContainer.onclick = (e) => {
+        e.stopPropagation();
+        if (onSelect && (e.shiftKey || e.metaKey || e.ctrlKey)) {
+            onSelect(image, e);
+        } else if (onOpen) {
+            onOpen(image);
+        } else {
+            createLightbox([image], 0);
+        }
+    };
+    
+    // Right-click for the image menu
+    imageContainer.oncontextmenu = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        showImageMenu(image, e.clientX, e.clientY);
+    };
+    
+    // Add hover info with navigation button
+    const info = document.createElement("div");
+    info.style.cssText = `
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        background: rgba(0, 0, 0, 0.8);
+        color: white;
+        padding: 8px;
+        font-size: 12px;
+        transform: translateY(100%);
+        transition: transform 0.2s;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    `;
+    
+    const infoText = document.createElement("div");
+    infoText.style.cssText = "flex: 1; overflow: hidden;";
+    
+    const infoTitle = document.createElement("div");
+    infoTitle.style.cssText = "overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: 500;";
+    infoTitle.appendChild(highlightText(image.pageTitle, highlightTerms));
+    infoText.appendChild(infoTitle);
+    
+    // Show where a text search matched in the block itself
+    const blockText = image.blockContent || '';
+    if (findHighlightRanges(blockText, highlightTerms).length > 0) {
+        const infoSnippet = document.createElement("div");
+        infoSnippet.style.cssText = "opacity: 0.85; font-size: 11px; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical;";
+        const snippet = getSnippet(blockText, highlightTerms);
+        infoSnippet.appendChild(highlightText(snippet, highlightTerms));
+        infoText.appendChild(infoSnippet);
+    }
+    
+    const infoDate = document.createElement("div");
+    infoDate.style.cssText = "opacity: 0.7; font-size: 11px;";
+    infoDate.textContent = image.createTime ? new Date(image.createTime).toLocaleDateString() : 'No date';
+    infoText.appendChild(infoDate);
+    
+    const navButton = document.createElement("button");
+    navButton.className = "bp3-button bp3-minimal bp3-small";
+    navButton.innerHTML = '<span class="bp3-icon bp3-icon-arrow-right"></span>';
+    navButton.style.cssText = "color: white; padding: 4px;";
+    navButton.title = "Go to source block";
+    navButton.onclick = (e) => {
+        e.stopPropagation();
+        window.roamAlphaAPI.ui.mainWindow.openBlock({
+            block: { uid: image.uid }
+        });
+    };
+    
+    const menuButton = document.createElement("button");
+    menuButton.className = "bp3-button bp3-minimal bp3-small";
+    menuButton.innerHTML = '<span class="bp3-icon bp3-icon-more"></span>';
+    menuButton.style.cssText = "color: white; padding: 4px;";
+    menuButton.title = "More actions";
+    menuButton.onclick = (e) => {
+        e.stopPropagation();
+        const rect = menuButton.getBoundingClientRect();
+        showImageMenu(image, rect.left, rect.bottom);
+    };
+    
+    info.appendChild(infoText);
+    info.appendChild(navButton);
+    info.appendChild(menuButton);
+    
+    // Selection checkbox, shown on hover and whenever something is selected
+    let selectToggle = null;
+    if (onSelect) {
+        selectToggle = document.createElement("input");
+        selectToggle.type = "checkbox";
+        selectToggle.className = "imager-select-toggle";
+        selectToggle.title = "Select (shift-click to select a range)";
+        selectToggle.style.cssText = `
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            width: 18px;
+            height: 18px;
+            margin: 0;
+            cursor: pointer;
+            opacity: 0;
+            transition: opacity 0.2s;
+            z-index: 1;
+        `;
+        selectToggle.onclick = (e) => {
+            e.stopPropagation();
+            onSelect(image, e);
+        };
+    }
+    
+    imageContainer.onmouseover = () => {
+        info.style.transform = "translateY(0)";
+        imageContainer.style.transform = "scale(1.02)";
+        if (selectToggle) selectToggle.style.opacity = "1";
+    };
+    
+    imageContainer.onmouseout = () => {
+        info.style.transform = "translateY(100%)";
+        imageContainer.style.transform = "scale(1)";
+        if (selectToggle && imageContainer.dataset.selecting !== "true") selectToggle.style.opacity = "0";
+    };
+    
+    imageContainer.appendChild(img);
+    imageContainer.appendChild(info);
+    if (selectToggle) imageContainer.appendChild(selectToggle);
+    
+    return imageContainer;
+}
+
+// Reflect the selection on a card: `selected` checks it, `selecting` (anything selected
+// at all) keeps every checkbox visible
+function updateCardSelection(card, selected, selecting) {
+    const selectToggle = card.querySelector(".imager-select-toggle");
+    if (!selectToggle) return;
+    selectToggle.checked = selected;
+    selectToggle.style.opacity = selecting ? "1" : "0";
+    card.dataset.selecting = String(selecting);
+    card.style.boxShadow = selected ? "0 0 0 3px #137cbd" : "";
+}
+
+const GRID_PADDING = 20; // Space around the grid in px
+const GRID_GAP = 16; // Space between thumbnails in px
+const DEFAULT_ASPECT_RATIO = 4 / 3; // Assumed width / height until an image has loaded
+
+function getAspectRatio(image) {
+    return image.width && image.height ? image.width / image.height : DEFAULT_ASPECT_RATIO;
+}
+
+// Masonry layout: each image goes into the currently shortest column, sized by its real aspect ratio.
+// Returns absolutely positioned boxes and the total height.
+function computeMasonryLayout(images, containerWidth, columnCount) {
+    const columnWidth = Math.max(0, (containerWidth - GRID_GAP * (columnCount - 1)) / columnCount);
+    const columnHeights = new Array(columnCount).fill(0);
+    
+    const boxes = images.map(image => {
+        const column = columnHeights.indexOf(Math.min(...columnHeights));
+        const height = Math.round(columnWidth / getAspectRatio(image));
+        const box = {
+            image,
+            top: columnHeights[column],
+            left: column * (columnWidth + GRID_GAP),
+            width: columnWidth,
+            height
+        };
+        columnHeights[column] += height + GRID_GAP;
+        return box;
+    });
+    
+    return { boxes, height: Math.max(0, Math.max(...columnHeights) - GRID_GAP) };
+}
+
+// Justified rows layout (like Flickr): images in a row share one height, chosen so the row
+// spans the full width. The last, incomplete row keeps the target height.
+function computeJustifiedLayout(images, containerWidth, targetRowHeight) {
+    const boxes = [];
+    let top = 0;
+    let row = [];
+    let rowAspect = 0;
+    
+    const placeRow = (rowHeight) => {
+        let left = 0;
+        row.forEach(image => {
+            const width = rowHeight * getAspectRatio(image);
+            boxes.push({ image, top, left, width, height: rowHeight });
+            left += width + GRID_GAP;
+        });
+        top += rowHeight + GRID_GAP;
+        row = [];
+        rowAspect = 0;
+    };
+    
+    images.forEach(image => {
+        row.push(image);
+        rowAspect += getAspectRatio(image);
+        
+        const gaps = GRID_GAP * (row.length - 1);
+        if (rowAspect * targetRowHeight + gaps >= containerWidth) {
+            placeRow(Math.max(1, (containerWidth - gaps) / rowAspect));
+        }
+    });
+    
+    if (row.length > 0) {
+        placeRow(targetRowHeight);
+    }
+    
+    return { boxes, height: Math.max(0, top - GRID_GAP) };
+}
+
+// Lay out images with the layout selected in the gallery state
+function computeGalleryLayout(images, containerWidth, state) {
+    if (state.layout === 'justified') {
+        // Aim for roughly `imagesPerRow` images of average shape per row
+        const thumbnailWidth = (containerWidth - GRID_GAP * (state.imagesPerRow - 1)) / state.imagesPerRow;
+        return computeJustifiedLayout(images, containerWidth, Math.max(40, thumbnailWidth / DEFAULT_ASPECT_RATIO));
+    }
+    return computeMasonryLayout(images, containerWidth, state.imagesPerRow);
+}
+
+// Create a thumbnail card that is positioned absolutely from a layout box
+function createPositionedCard(image, options) {
+    const card = createImageCard(image, options);
+    card.style.position = "absolute";
+    const img = card.querySelector("img");
+    img.style.height = "100%";
+    img.style.objectFit = "cover";
+    return card;
+}
+
+function placeCard(card, box) {
+    card.style.top = `${box.top}px`;
+    card.style.left = `${box.left}px`;
+    card.style.width = `${box.width}px`;
+    card.style.height = `${box.height}px`;
+}
+
+// Run a callback at most once per animation frame
+function createFrameScheduler(callback) {
+    let frame = null;
+    const schedule = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            callback();
+        });
+    };
+    schedule.cancel = () => {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+    };
+    return schedule;
+}
+
+// Render pagination controls for the current view
+function renderPagination(paginationElement, store) {
+    const { view, page, imagesPerPage } = store.getState();
+    paginationElement.innerHTML = "";
+    
+    if (view.length <= imagesPerPage) {
+        paginationElement.style.display = "none";
+        return;
+    }
+    
+    const totalPages = Math.ceil(view.length / imagesPerPage);
+    paginationElement.style.display = "flex";
+    
+    // Previous button
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "bp3-button bp3-minimal";
+    prevBtn.textContent = "Previous";
+    prevBtn.disabled = page === 1;
+    prevBtn.onclick = () => store.setState({ page: page - 1 });
+    
+    // Page info
+    const pageInfo = document.createElement("span");
+    pageInfo.textContent = `Page ${page} of ${totalPages} (${view.length} images)`;
+    pageInfo.style.cssText = "color: #666; font-size: 14px;";
+    
+    // Next button
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "bp3-button bp3-minimal";
+    nextBtn.textContent = "Next";
+    nextBtn.disabled = page === totalPages;
+    nextBtn.onclick = () => store.setState({ page: page + 1 });
+    
+    paginationElement.appendChild(prevBtn);
+    paginationElement.appendChild(pageInfo);
+    paginationElement.appendChild(nextBtn);
+}
+
+// Selection
+// The gallery popup's selection is a set of image keys in the store, so it survives the image
+// list being re-synced. Shift-selecting extends from the last toggled image across the view.
+function getImageKey(image) {
+    return `${image.uid} ${image.url}`;
+}
+
+function toggleImageSelection(store, image, { range = false } = {}) {
+    const { view, selection, selectionAnchor } = store.getState();
+    const key = getImageKey(image);
+    const next = new Set(selection);
+    
+    const anchorIndex = range && selectionAnchor ? view.findIndex(item => getImageKey(item) === selectionAnchor) : -1;
+    const imageIndex = view.indexOf(image);
+    if (anchorIndex !== -1 && imageIndex !== -1) {
+        view.slice(Math.min(anchorIndex, imageIndex), Math.max(anchorIndex, imageIndex) + 1)
+            .forEach(item => next.add(getImageKey(item)));
+        store.setState({ selection: next });
+        return;
+    }
+    
+    if (next.has(key)) {
+        next.delete(key);
+    } else {
+        next.add(key);
+    }
+    store.setState({ selection: next, selectionAnchor: key });
+}
+
+// Selected images, in view order first (selected images hidden by the search come last)
+function getSelectedImages(state) {
+    const inView = state.view.filter(image => state.selection.has(getImageKey(image)));
+    const shown = new Set(inView);
+    const hidden = state.images.filter(image => state.selection.has(getImageKey(image)) && !shown.has(image));
+    return [...inView, ...hidden];
+}
+
+// Card options for selecting images in this store, if the gallery allows selection
+function getSelectionOptions(store) {
+    if (!store.getState().selectable) return {};
+    return { onSelect: (image, e) => toggleImageSelection(store, image, { range: e.shiftKey }) };
+}
+
+// Bring mounted cards in line with the store's selection
+function syncCardSelection(cards, state) {
+    const selecting = state.selection.size > 0;
+    cards.forEach((card, image) => updateCardSelection(card, state.selection.has(getImageKey(image)), selecting));
+}
+
+// Open the lightbox on an image, stepping through the gallery's current filtered view
+function openImageInLightbox(store, image) {
+    const { view, highlightTerms } = store.getState();
+    createLightbox(view, Math.max(0, view.indexOf(image)), { highlightTerms });
+}
+
+// Create image grid bound to the gallery store
+function createImageGrid(container, store) {
+    container.innerHTML = "";
+    
+    // Thumbnails are absolutely positioned inside the grid from the computed layout
+    const grid = document.createElement("div");
+    grid.style.cssText = `
+        position: relative;
+        margin: ${GRID_PADDING}px;
+    `;
+    
+    // Create pagination controls
+    const pagination = document.createElement("div");
+    pagination.style.cssText = `
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 8px;
+        padding: 16px;
+        border-top: 1px solid #e0e0e0;
+    `;
+    
+    container.appendChild(grid);
+    container.appendChild(pagination);
+    
+    let pageImages = [];
+    let renderedPage = 1;
+    let renderedTerms = null;
+    const cards = new Map(); // image -> card element
+    const openImage = (image) => openImageInLightbox(store, image);
+    
+    // Re-balance the page whenever a layout input or an image's measured size changes
+    const positionCards = () => {
+        const { boxes, height } = computeGalleryLayout(pageImages, grid.clientWidth, store.getState());
+        boxes.forEach(box => placeCard(cards.get(box.image), box));
+        grid.style.height = `${height}px`;
+    };
+    const scheduleLayout = createFrameScheduler(positionCards);
+    
+    // Only rebuild the grid when the images on the current page change, keeping the cards of
+    // images that are still there
+    const renderGrid = (state) => {
+        const startIdx = (state.page - 1) * state.imagesPerPage;
+        const nextPageImages = state.view.slice(startIdx, startIdx + state.imagesPerPage);
+        
+        const unchanged = nextPageImages.length === pageImages.length &&
+            nextPageImages.every((image, idx) => image === pageImages[idx]) &&
+            state.highlightTerms === renderedTerms;
+        
+        if (!unchanged) {
+            // Cards show the highlights they were created with
+            const reusable = state.highlightTerms === renderedTerms ? new Map(cards) : new Map();
+            grid.innerHTML = "";
+            cards.clear();
+            nextPageImages.forEach(image => {
+                const card = reusable.get(image) || createPositionedCard(image, {
+                    onOpen: openImage,
+                    onMeasured: scheduleLayout,
+                    highlightTerms: state.highlightTerms,
+                    ...getSelectionOptions(store)
+                });
+                cards.set(image, card);
+                grid.appendChild(card);
+            });
+            pageImages = nextPageImages;
+            renderedTerms = state.highlightTerms;
+            syncCardSelection(cards, state);
+        }
+        
+        positionCards();
+        
+        // Start a new page at the top
+        if (state.page !== renderedPage) {
+            container.scrollTop = 0;
+            renderedPage = state.page;
+        }
+    };
+    
+    renderGrid(store.getState());
+    renderPagination(pagination, store);
+    
+    const resizeObserver = typeof ResizeObserver !== "undefined" ? new ResizeObserver(scheduleLayout) : null;
+    if (resizeObserver) resizeObserver.observe(grid);
+    
+    const unsubscribeGrid = store.subscribe(['view', 'highlightTerms', 'page', 'imagesPerRow', 'imagesPerPage', 'layout'], renderGrid);
+    const unsubscribePagination = store.subscribe(['view', 'page', 'imagesPerPage'], () => renderPagination(pagination, store));
+    const unsubscribeSelection = store.subscribe(['selection'], (state) => syncCardSelection(cards, state));
+    
+    return () => {
+        unsubscribeGrid();
+        unsubscribePagination();
+        unsubscribeSelection();
+        if (resizeObserver) resizeObserver.disconnect();
+        scheduleLayout.cancel();
+    };
+}
+
+const VIRTUAL_OVERSCAN = 800; // Extra px above and below the viewport kept mounted
+
+// Create a virtualized infinite-scroll grid bound to the gallery store.
+// Thumbnails are absolutely positioned from a computed layout and only the ones near the
+// viewport are mounted; more of the view is laid out as the user nears the bottom.
+function createVirtualGrid(container, store) {
+    container.innerHTML = "";
+    container.scrollTop = 0;
+    
+    const canvas = document.createElement("div");
+    canvas.style.cssText = `
+        position: relative;
+        margin: ${GRID_PADDING}px;
+    `;
+    
+    const footer = document.createElement("div");
+    footer.style.cssText = `
+        padding: 16px;
+        border-top: 1px solid #e0e0e0;
+        color: #666;
+        font-size: 14px;
+        text-align: center;
+    `;
+    
+    container.appendChild(canvas);
+    container.appendChild(footer);
+    
+    let loadedCount = store.getState().imagesPerPage;
+    let layout = [];
+    const mounted = new Map(); // image -> card element
+    const openImage = (image) => openImageInLightbox(store, image);
+    
+    // Lay out the loaded part of the view with the selected layout
+    const relayout = () => {
+        const state = store.getState();
+        const result = computeGalleryLayout(state.view.slice(0, loadedCount), canvas.clientWidth, state);
+        layout = result.boxes;
+        canvas.style.height = `${result.height}px`;
+        
+        const shown = Math.min(loadedCount, state.view.length);
+        footer.textContent = shown < state.view.length
+            ? `Showing ${shown} of ${state.view.length} images`
+            : `All ${state.view.length} images loaded`;
+    };
+    
+    // Mount the cards intersecting the viewport (plus overscan) and drop the rest
+    const renderVisible = () => {
+        const offset = canvas.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        const visibleTop = container.scrollTop - offset - VIRTUAL_OVERSCAN;
+        const visibleBottom = container.scrollTop + container.clientHeight - offset + VIRTUAL_OVERSCAN;
+        const visible = new Set();
+        
+        layout.forEach(box => {
+            if (box.top + box.height < visibleTop || box.top > visibleBottom) return;
+            visible.add(box.image);
+            
+            let card = mounted.get(box.image);
+            if (!card) {
+                const state = store.getState();
+                card = createPositionedCard(box.image, {
+                    onOpen: openImage,
+                    onMeasured: scheduleUpdate,
+                    highlightTerms: state.highlightTerms,
+                    ...getSelectionOptions(store)
+                });
+                updateCardSelection(card, state.selection.has(getImageKey(box.image)), state.selection.size > 0);
+                mounted.set(box.image, card);
+                canvas.appendChild(card);
+            }
+            placeCard(card, box);
+        });
+        
+        mounted.forEach((card, image) => {
+            if (!visible.has(image)) {
+                card.remove();
+                mounted.delete(image);
+            }
+        });
+    };
+    
+    // Stream in more of the view while the laid-out content does not reach past the viewport
+    const update = () => {
+        const { view, imagesPerPage } = store.getState();
+        relayout();
+        while (loadedCount < view.length &&
+            canvas.offsetHeight - container.scrollTop < container.clientHeight * 2) {
+            loadedCount += imagesPerPage;
+            relayout();
+        }
+        renderVisible();
+    };
+    
+    const scheduleUpdate = createFrameScheduler(update);
+    container.addEventListener("scroll", scheduleUpdate);
+    
+    const resizeObserver = typeof ResizeObserver !== "undefined" ? new ResizeObserver(scheduleUpdate) : null;
+    if (resizeObserver) resizeObserver.observe(container);
+    
+    update();
+    
+    const unsubscribe = store.subscribe(['view', 'highlightTerms', 'imagesPerRow', 'imagesPerPage', 'layout'], (state, previous) => {
+        // A new search or sort starts over at the top; new batches keep the scroll position
+        if (state.query !== previous.query || state.sortOrder !== previous.sortOrder || state.facets !== previous.facets) {
+            loadedCount = state.imagesPerPage;
+            container.scrollTop = 0;
+        }
+        // Mounted cards show the old highlights; remount them
+        if (state.highlightTerms !== previous.highlightTerms) {
+            mounted.forEach(card => card.remove());
+            mounted.clear();
+        }
+        update();
+    });
+    const unsubscribeSelection = store.subscribe(['selection'], (state) => syncCardSelection(mounted, state));
+    
+    return () => {
+        unsubscribe();
+        unsubscribeSelection();
+        container.removeEventListener("scroll", scheduleUpdate);
+        if (resizeObserver) resizeObserver.disconnect();
+        scheduleUpdate.cancel();
+    };
+}
+
+// Timeline
+// The view grouped by creation day, month or year under sticky date headers, newest first (or
+// oldest first with the "Oldest First" sort order), with a scrubber to jump between years.
+// Images without a creation time are collected in a final "Undated" group.
+const TIMELINE_GRANULARITIES = [
+    { value: 'day', text: 'Day' },
+    { value: 'month', text: 'Month' },
+    { value: 'year', text: 'Year' }
+];
+
+function formatTimelineLabel(date, granularity) {
+    if (granularity === 'year') return String(date.getFullYear());
+    if (granularity === 'month') return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+    return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Group images by the local day, month or year they were created. Returns
+// [{ key, label, date, images }] in timeline order, where `date` is the start of the period
+// (null for the "Undated" group).
+function groupImagesByDate(images, granularity, ascending = false) {
+    const direction = ascending ? 1 : -1;
+    const dated = images
+        .filter(image => image.createTime !== null)
+        .sort((a, b) => (a.createTime - b.createTime) * direction);
+    
+    const groups = new Map();
+    dated.forEach(image => {
+        const created = new Date(image.createTime);
+        const date = granularity === 'year'
+            ? new Date(created.getFullYear(), 0, 1)
+            : granularity === 'month'
+                ? new Date(created.getFullYear(), created.getMonth(), 1)
+                : new Date(created.getFullYear(), created.getMonth(), created.getDate());
+        const key = String(date.getTime());
+        if (!groups.has(key)) {
+            groups.set(key, { key, label: formatTimelineLabel(date, granularity), date, images: [] });
+        }
+        groups.get(key).images.push(image);
+    });
+    
+    const result = [...groups.values()];
+    const undated = images.filter(image => image.createTime === null);
+    if (undated.length > 0) {
+        result.push({ key: 'undated', label: 'Undated', date: null, images: undated });
+    }
+    return result;
+}
+
+// Create the timeline bound to the gallery store. Like the infinite scroll grid, only cards
+// near the viewport are mounted.
+function createTimelineGrid(container, store) {
+    container.innerHTML = "";
+    container.scrollTop = 0;
+    
+    const root = document.createElement("div");
+    root.style.cssText = "display: flex; align-items: flex-start;";
+    
+    const sectionsElement = document.createElement("div");
+    sectionsElement.style.cssText = "flex: 1; min-width: 0;";
+    
+    // Year scrubber, kept in view at the right edge
+    const scrubber = document.createElement("div");
+    scrubber.style.cssText = `
+        position: sticky;
+        top: 0;
+        flex-direction: column;
+        gap: 2px;
+        padding: 12px 12px 12px 0;
+        font-size: 12px;
+    `;
+    
+    root.appendChild(sectionsElement);
+    root.appendChild(scrubber);
+    container.appendChild(root);
+    
+    let sections = []; // { group, element, canvas, boxes, mounted: Map of image -> card }
+    let ordered = []; // Images in timeline order, for the lightbox
+    let reusable = new Map(); // Cards of the previous build that can be mounted again
+    const yearLinks = new Map(); // Year label -> scrubber link
+    
+    const openImage = (image) => {
+        createLightbox(ordered, Math.max(0, ordered.indexOf(image)), { highlightTerms: store.getState().highlightTerms });
+    };
+    
+    const layoutSections = () => {
+        const state = store.getState();
+        sections.forEach(section => {
+            const { boxes, height } = computeGalleryLayout(section.group.images, section.canvas.clientWidth, state);
+            section.boxes = boxes;
+            section.canvas.style.height = `${height}px`;
+        });
+    };
+    
+    // Highlight the year of the last section that starts at or above the top of the viewport
+    const highlightYear = (sectionTops) => {
+        let current = sections[0];
+        sections.forEach((section, index) => {
+            if (sectionTops[index] <= 1) current = section;
+        });
+        const currentYear = current && current.year;
+        yearLinks.forEach((link, year) => {
+            const active = year === currentYear;
+            link.style.background = active ? "#137cbd" : "transparent";
+            link.style.color = active ? "white" : "#5c7080";
+        });
+    };
+    
+    // Mount the cards intersecting the viewport (plus overscan) and drop the rest.
+    // Positions are all read before any card is added, to avoid repeated reflows.
+    const renderVisible = () => {
+        const containerTop = container.getBoundingClientRect().top;
+        const sectionTops = sections.map(section => section.element.getBoundingClientRect().top - containerTop);
+        const canvasTops = sections.map(section => section.canvas.getBoundingClientRect().top - containerTop);
+        const visibleTop = -VIRTUAL_OVERSCAN;
+        const visibleBottom = container.clientHeight + VIRTUAL_OVERSCAN;
+        const state = store.getState();
+        
+        sections.forEach((section, index) => {
+            section.boxes.forEach(box => {
+                const top = canvasTops[index] + box.top;
+                let card = section.mounted.get(box.image);
+                
+                if (top + box.height < visibleTop || top > visibleBottom) {
+                    if (card) {
+                        card.remove();
+                        section.mounted.delete(box.image);
+                    }
+                    return;
+                }
+                
+                if (!card) {
+                    card = reusable.get(box.image) || createPositionedCard(box.image, {
+                        onOpen: openImage,
+                        onMeasured: scheduleUpdate,
+                        highlightTerms: state.highlightTerms,
+                        ...getSelectionOptions(store)
+                    });
+                    reusable.delete(box.image);
+                    updateCardSelection(card, state.selection.has(getImageKey(box.image)), state.selection.size > 0);
+                    section.mounted.set(box.image, card);
+                    section.canvas.appendChild(card);
+                }
+                placeCard(card, box);
+            });
+        });
+        
+        reusable.clear();
+        highlightYear(sectionTops);
+    };
+    
+    const scrollToSection = (section) => {
+        container.scrollTop += section.element.getBoundingClientRect().top - container.getBoundingClientRect().top;
+    };
+    
+    const renderScrubber = () => {
+        scrubber.innerHTML = "";
+        yearLinks.clear();
+        sections.forEach(section => {
+            if (yearLinks.has(section.year)) return;
+            const link = document.createElement("a");
+            link.textContent = section.year;
+            link.title = `Jump to ${section.year}`;
+            link.style.cssText = "display: block; padding: 2px 8px; border-radius: 3px; cursor: pointer; text-decoration: none;";
+            link.onclick = (e) => {
+                e.preventDefault();
+                scrollToSection(section);
+            };
+            yearLinks.set(section.year, link);
+            scrubber.appendChild(link);
+        });
+        scrubber.style.display = yearLinks.size > 1 ? "flex" : "none";
+    };
+    
+    const createSectionHeader = (group, granularity) => {
+        const header = document.createElement("div");
+        header.style.cssText = `
+            position: sticky;
+            top: 0;
+            z-index: 2;
+            display: flex;
+            align-items: baseline;
+            gap: 8px;
+            padding: 8px ${GRID_PADDING}px;
+            background: rgba(255, 255, 255, 0.95);
+            border-bottom: 1px solid #f0f0f0;
+            font-weight: 600;
+        `;
+        
+        // Days link to their Daily Notes page
+        if (granularity === 'day' && group.date) {
+            const pageTitle = window.roamAlphaAPI.util.dateToPageTitle(group.date);
+            const link = createRoamLink(group.label, inSidebar => openPageInRoam(pageTitle, inSidebar));
+            link.title = `Open ${pageTitle}, Shift+click to open it in the sidebar`;
+            header.appendChild(link);
+        } else {
+            header.appendChild(document.createTextNode(group.label));
+        }
+        
+        const count = document.createElement("span");
+        count.textContent = `${group.images.length} image${group.images.length === 1 ? '' : 's'}`;
+        count.style.cssText = "color: #8a9ba8; font-weight: normal; font-size: 12px;";
+        header.appendChild(count);
+        return header;
+    };
+    
+    // Rebuild the sections from the view, keeping the scroll position and the cards of images
+    // that are still there
+    const build = (state, { keepCards }) => {
+        const scrollTop = container.scrollTop;
+        reusable = new Map();
+        if (keepCards) {
+            sections.forEach(section => section.mounted.forEach((card, image) => reusable.set(image, card)));
+        }
+        
+        const groups = groupImagesByDate(state.view, state.timelineGranularity, state.sortOrder === 'oldest');
+        ordered = groups.flatMap(group => group.images);
+        sectionsElement.innerHTML = "";
+        sections = groups.map(group => {
+            const element = document.createElement("section");
+            const canvas = document.createElement("div");
+            canvas.style.cssText = `
+                position: relative;
+                margin: ${GRID_PADDING}px;
+            `;
+            element.appendChild(createSectionHeader(group, state.timelineGranularity));
+            element.appendChild(canvas);
+            sectionsElement.appendChild(element);
+            return {
+                group,
+                element,
+                canvas,
+                year: group.date ? String(group.date.getFullYear()) : 'Undated',
+                boxes: [],
+                mounted: new Map()
+            };
+        });
+        
+        renderScrubber();
+        layoutSections();
+        container.scrollTop = scrollTop;
+        renderVisible();
+    };
+    
+    const scheduleUpdate = createFrameScheduler(() => {
+        layoutSections();
+        renderVisible();
+    });
+    const scheduleRender = createFrameScheduler(renderVisible);
+    container.addEventListener("scroll", scheduleRender);
+    
+    const resizeObserver = typeof ResizeObserver !== "undefined" ? new ResizeObserver(scheduleUpdate) : null;
+    if (resizeObserver) resizeObserver.observe(container);
+    
+    build(store.getState(), { keepCards: false });
+    
+    const unsubscribe = store.subscribe(['view', 'highlightTerms', 'timelineGranularity', 'imagesPerRow', 'layout'], (state, previous) => {
+        // A new search, sort or grouping starts over at the top; other changes keep the position
+        if (state.query !== previous.query || state.sortOrder !== previous.sortOrder ||
+            state.facets !== previous.facets || state.timelineGranularity !== previous.timelineGranularity) {
+            container.scrollTop = 0;
+        }
+        if (state.view !== previous.view || state.timelineGranularity !== previous.timelineGranularity ||
+            state.highlightTerms !== previous.highlightTerms) {
+            // Mounted cards show the old highlights; only reuse them when those are unchanged
+            build(state, { keepCards: state.highlightTerms === previous.highlightTerms });
+        } else {
+            scheduleUpdate();
+        }
+    });
+    const unsubscribeSelection = store.subscribe(['selection'], (state) => {
+        sections.forEach(section => syncCardSelection(section.mounted, state));
+    });
+    
+    return () => {
+        unsubscribe();
+        unsubscribeSelection();
+        container.removeEventListener("scroll", scheduleRender);
+        if (resizeObserver) resizeObserver.disconnect();
+        scheduleUpdate.cancel();
+        scheduleRender.cancel();
+    };
+}
+
+// Page groups
+// The view grouped under a collapsible header per page, in the order the current sort brings
+// the pages up, with pinned pages first. Each group is a masonry grid whose thumbnails are only
+// created once the group scrolls near the viewport.
+
+function savePinnedPages() {
+    localStorage.setItem('imager-pinned-pages', JSON.stringify(PINNED_PAGES));
+}
+
+// Groups of the view by page, pinned pages first in the order they were pinned
+function getPageGroups(images) {
+    const groups = groupImagesByPage(images);
+    const pinned = PINNED_PAGES
+        .map(pageTitle => groups.find(group => group.pageTitle === pageTitle))
+        .filter(Boolean);
+    return [...pinned, ...groups.filter(group => !PINNED_PAGES.includes(group.pageTitle))];
+}
+
+// Create the page groups bound to the gallery store
+function createPageGroupGrid(container, store) {
+    container.innerHTML = "";
+    container.scrollTop = 0;
+    
+    const sectionsElement = document.createElement("div");
+    container.appendChild(sectionsElement);
+    
+    let sections = []; // { pageTitle, images, element, canvas, boxes, cards: Map of image -> card, once loaded }
+    let ordered = []; // Images in group order, for the lightbox
+    let reusable = new Map(); // Cards of the previous build that can be mounted again
+    const collapsed = new Set(); // Titles of collapsed pages
+    
+    const openImage = (image) => {
+        createLightbox(ordered, Math.max(0, ordered.indexOf(image)), { highlightTerms: store.getState().highlightTerms });
+    };
+    
+    const layoutSections = () => {
+        const { imagesPerRow } = store.getState();
+        sections.forEach(section => {
+            if (collapsed.has(section.pageTitle)) {
+                section.canvas.style.display = "none";
+                return;
+            }
+            section.canvas.style.display = "block";
+            const { boxes, height } = computeMasonryLayout(section.images, section.canvas.clientWidth, imagesPerRow);
+            section.boxes = boxes;
+            section.canvas.style.height = `${height}px`;
+            if (section.cards) {
+                boxes.forEach(box => placeCard(section.cards.get(box.image), box));
+            }
+        });
+    };
+    
+    // Create the thumbnails of the expanded groups that have come within reach of the viewport.
+    // Positions are all read before any card is added, to avoid repeated reflows.
+    const loadVisible = () => {
+        const containerTop = container.getBoundingClientRect().top;
+        const visibleBottom = container.clientHeight + VIRTUAL_OVERSCAN;
+        const state = store.getState();
+        
+        sections
+            .filter(section => !section.cards && !collapsed.has(section.pageTitle))
+            .filter(section => section.canvas.getBoundingClientRect().top - containerTop <= visibleBottom)
+            .forEach(section => {
+                section.cards = new Map();
+                section.boxes.forEach(box => {
+                    const card = reusable.get(box.image) || createPositionedCard(box.image, {
+                        onOpen: openImage,
+                        onMeasured: scheduleUpdate,
+                        highlightTerms: state.highlightTerms,
+                        ...getSelectionOptions(store)
+                    });
+                    updateCardSelection(card, state.selection.has(getImageKey(box.image)), state.selection.size > 0);
+                    placeCard(card, box);
+                    section.cards.set(box.image, card);
+                    section.canvas.appendChild(card);
+                });
+            });
+    };
+    
+    const createSectionHeader = (section) => {
+        const { pageTitle } = section;
+        const isCollapsed = collapsed.has(pageTitle);
+        const isPinned = PINNED_PAGES.includes(pageTitle);
+        
+        const header = document.createElement("div");
+        header.title = isCollapsed ? "Expand" : "Collapse";
+        header.style.cssText = `
+            position: sticky;
+            top: 0;
+            z-index: 2;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px ${GRID_PADDING}px;
+            background: rgba(255, 255, 255, 0.95);
+            border-bottom: 1px solid #f0f0f0;
+            cursor: pointer;
+            user-select: none;
+        `;
+        header.onclick = () => {
+            if (isCollapsed) collapsed.delete(pageTitle);
+            else collapsed.add(pageTitle);
+            build(store.getState(), { keepCards: true });
+        };
+        
+        const chevron = document.createElement("span");
+        chevron.className = `bp3-icon-standard ${isCollapsed ? 'bp3-icon-chevron-right' : 'bp3-icon-chevron-down'}`;
+        chevron.style.color = "#5c7080";
+        
+        const title = document.createElement("span");
+        title.textContent = pageTitle;
+        title.style.cssText = "font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+        
+        const count = document.createElement("span");
+        count.textContent = `${section.images.length} image${section.images.length === 1 ? '' : 's'}`;
+        count.style.cssText = "color: #8a9ba8; font-size: 12px; white-space: nowrap;";
+        
+        const spacer = document.createElement("span");
+        spacer.style.flex = "1";
+        
+        const openLink = createRoamLink("Open page", inSidebar => openPageInRoam(pageTitle, inSidebar));
+        openLink.title = "Open the page, Shift+click to open it in the sidebar";
+        openLink.style.whiteSpace = "nowrap";
+        openLink.addEventListener("click", (e) => e.stopPropagation());
+        
+        const pinButton = document.createElement("button");
+        pinButton.className = `bp3-button bp3-minimal bp3-small bp3-icon-pin${isPinned ? ' bp3-intent-primary bp3-active' : ''}`;
+        pinButton.title = isPinned ? "Unpin page" : "Pin page to the top";
+        pinButton.onclick = (e) => {
+            e.stopPropagation();
+            PINNED_PAGES = isPinned
+                ? PINNED_PAGES.filter(pinned => pinned !== pageTitle)
+                : [...PINNED_PAGES, pageTitle];
+            savePinnedPages();
+            build(store.getState(), { keepCards: true });
+        };
+        
+        header.appendChild(chevron);
+        header.appendChild(title);
+        header.appendChild(count);
+        header.appendChild(spacer);
+        header.appendChild(openLink);
+        header.appendChild(pinButton);
+        return header;
+    };
+    
+    // Rebuild the groups from the view, keeping the scroll position and the cards of images
+    // that are still there
+    const build = (state, { keepCards }) => {
+        const scrollTop = container.scrollTop;
+        reusable = new Map();
+        if (keepCards) {
+            sections.forEach(section => section.cards && section.cards.forEach((card, image) => reusable.set(image, card)));
+        }
+        
+        const groups = getPageGroups(state.view);
+        ordered = groups.flatMap(group => group.images);
+        sectionsElement.innerHTML = "";
+        sections = groups.map(({ pageTitle, images }) => {
+            const element = document.createElement("section");
+            const canvas = document.createElement("div");
+            canvas.style.cssText = `
+                position: relative;
+                margin: ${GRID_PADDING}px;
+            `;
+            const section = { pageTitle, images, element, canvas, boxes: [], cards: null };
+            element.appendChild(createSectionHeader(section));
+            element.appendChild(canvas);
+            sectionsElement.appendChild(element);
+            return section;
+        });
+        
+        layoutSections();
+        container.scrollTop = scrollTop;
+        loadVisible();
+        reusable.clear();
+    };
+    
+    const scheduleUpdate = createFrameScheduler(() => {
+        layoutSections();
+        loadVisible();
+    });
+    const scheduleLoad = createFrameScheduler(loadVisible);
+    container.addEventListener("scroll", scheduleLoad);
+    
+    const resizeObserver = typeof ResizeObserver !== "undefined" ? new ResizeObserver(scheduleUpdate) : null;
+    if (resizeObserver) resizeObserver.observe(container);
+    
+    build(store.getState(), { keepCards: false });
+    
+    const unsubscribe = store.subscribe(['view', 'highlightTerms', 'imagesPerRow'], (state, previous) => {
+        // A new search, sort or filter starts over at the top; other changes keep the position
+        if (state.query !== previous.query || state.sortOrder !== previous.sortOrder || state.facets !== previous.facets) {
+            container.scrollTop = 0;
+        }
+        if (state.view !== previous.view || state.highlightTerms !== previous.highlightTerms) {
+            // Mounted cards show the old highlights; only reuse them when those are unchanged
+            build(state, { keepCards: state.highlightTerms === previous.highlightTerms });
+        } else {
+            scheduleUpdate();
+        }
+    });
+    const unsubscribeSelection = store.subscribe(['selection'], (state) => {
+        sections.forEach(section => section.cards && syncCardSelection(section.cards, state));
+    });
+    
+    return () => {
+        unsubscribe();
+        unsubscribeSelection();
+        container.removeEventListener("scroll", scheduleLoad);
+        if (resizeObserver) resizeObserver.disconnect();
+        scheduleUpdate.cancel();
+        scheduleLoad.cancel();
+    };
+}
+
+// Mount the grid for the selected display mode and swap it when the mode changes
+function mountGalleryGrid(container, store) {
+    let unmount = null;
+    
+    const mount = ({ displayMode }) => {
+        if (unmount) unmount();
+        if (displayMode === 'timeline') {
+            unmount = createTimelineGrid(container, store);
+        } else if (displayMode === 'pages') {
+            unmount = createPageGroupGrid(container, store);
+        } else if (displayMode === 'infinite') {
+            unmount = createVirtualGrid(container, store);
+        } else {
+            unmount = createImageGrid(container, store);
+        }
+    };
+    
+    mount(store.getState());
+    const unsubscribe = store.subscribe(['displayMode'], mount);
+    
+    return () => {
+        unsubscribe();
+        unmount();
+    };
+}
+
+// ZIP archives
+// A minimal writer for uncompressed ("stored") ZIP files. Images are already compressed,
+// so deflating them again would cost time for next to no gain.
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build a ZIP Blob from [{ name, data: Uint8Array | string, date? }]
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const date = file.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const checksum = crc32(data);
+        
+        // Local file header; general purpose flag 0x0800 marks UTF-8 file names
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, checksum, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header, name, data);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, checksum, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        centralDirectory.push(entry, name);
+        
+        offset += 30 + name.length + data.length;
+    });
+    
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Exports
+// Images are fetched a few at a time and packed into a ZIP next to a manifest describing
+// every image, including the ones that could not be fetched.
+const EXPORT_CONCURRENCY = 4; // Images fetched in parallel
+const EXPORT_FILENAME_TOKENS = ['index', 'page', 'date', 'uid', 'name', 'alt'];
+
+// Make text safe to use in a file name
+function sanitizeFileName(text) {
+    return String(text)
+        .replace(/[\/\\:*?"<>|\u0000-\u001f]+/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 100);
+}
+
+// Local calendar date as YYYY-MM-DD
+function formatDateStamp(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Original file name of an image without its extension, e.g. "diagram" for .../diagram.png
+function getUrlBaseName(url) {
+    try {
+        // Firebase upload paths keep the folder in the last segment, e.g. "imgs%2Fname.png"
+        const last = decodeURIComponent(new URL(url).pathname.split('/').pop() || '').split('/').pop();
+        return last.replace(/\.[^.]*$/, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+// Expand a file name pattern such as "{index}-{page}-{name}" for an image. The extension
+// comes from the URL, or the response type when the URL has none.
+function formatImageFileName(image, position, pattern, contentType = '') {
+    const values = {
+        index: String(position).padStart(3, '0'),
+        page: image.pageTitle || 'Untitled',
+        date: image.createTime ? formatDateStamp(image.createTime) : 'undated',
+        uid: image.uid,
+        name: getUrlBaseName(image.url) || 'image',
+        alt: image.alt || ''
+    };
+    const name = sanitizeFileName(pattern.replace(/\{(\w+)\}/g, (match, token) =>
+        token in values ? values[token] : match
+    )) || values.index;
+    
+    const typeExtension = (contentType.match(/^image\/([\w+]+)/) || [])[1];
+    const extension = getUrlExtension(image.url) || (typeExtension ? typeExtension.replace('svg+xml', 'svg').replace('jpeg', 'jpg') : 'png');
+    return `${name}.${extension}`;
+}
+
+// Quote a value for CSV
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Manifest entries as JSON and CSV files
+function createManifestFiles(entries) {
+    const columns = ['file', 'status', 'error', 'uid', 'page', 'alt', 'url', 'created'];
+    const csv = [columns.join(','), ...entries.map(entry => columns.map(column => toCsvValue(entry[column])).join(','))].join('\n');
+    return [
+        { name: 'manifest.json', data: JSON.stringify(entries, null, 2) },
+        { name: 'manifest.csv', data: `${csv}\n` }
+    ];
+}
+
+// Fetch images a few at a time. `read(response, image, position)` turns each response into
+// the result's data. Resolves to [{ image, data }] or [{ image, error }] in input order.
+// onProgress({ done, total, failed }) is called as images finish; aborting `signal` stops
+// fetching and rejects with an AbortError.
+async function fetchImages(images, { read, signal = null, onProgress = () => {} }) {
+    const results = new Array(images.length);
+    let next = 0;
+    let done = 0;
+    let failed = 0;
+    
+    const fetchNext = async () => {
+        while (next < images.length) {
+            const position = next++;
+            const image = images[position];
+            try {
+                const response = await fetch(image.url, { signal });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                results[position] = { image, data: await read(response, image, position) };
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                console.error(`Failed to download ${image.url}:`, error);
+                results[position] = { image, error: error.message || 'Could not be fetched (possibly blocked by CORS)' };
+                failed++;
+            }
+            done++;
+            onProgress({ done, total: images.length, failed });
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(EXPORT_CONCURRENCY, images.length) }, fetchNext));
+    if (signal && signal.aborted) throw new DOMException("Export cancelled", "AbortError");
+    return results;
+}
+
+// Fetch images and pack them into a ZIP with a manifest.
+// Progress and cancellation work as in fetchImages. Resolves to { blob, downloaded, failures }.
+async function exportImagesAsZip(images, { pattern, signal = null, onProgress = () => {} }) {
+    const results = await fetchImages(images, {
+        signal,
+        onProgress,
+        read: async (response, image, position) => {
+            const contentType = response.headers ? response.headers.get('content-type') || '' : '';
+            return {
+                bytes: new Uint8Array(await response.arrayBuffer()),
+                name: formatImageFileName(image, position + 1, pattern, contentType)
+            };
+        }
+    });
+    
+    // Patterns without {index} can repeat; number repeated names
+    const usedNames = new Set();
+    const files = [];
+    const manifest = results.map(({ image, data, error }) => {
+        let file = null;
+        if (data) {
+            file = data.name;
+            for (let n = 2; usedNames.has(file.toLowerCase()); n++) {
+                file = data.name.replace(/(\.[^.]*)?$/, `-${n}$1`);
+            }
+            usedNames.add(file.toLowerCase());
+            files.push({ name: file, data: data.bytes, date: image.createTime ? new Date(image.createTime) : undefined });
+        }
+        return {
+            file,
+            status: data ? 'ok' : 'failed',
+            error: error || null,
+            uid: image.uid,
+            page: image.pageTitle,
+            alt: image.alt || '',
+            url: image.url,
+            created: image.createTime ? new Date(image.createTime).toISOString() : null
+        };
+    });
+    
+    return {
+        blob: createZipArchive([...files, ...createManifestFiles(manifest)]),
+        downloaded: files.length,
+        failures: results.filter(result => result.error)
+    };
+}
+
+// Reports
+// A single HTML page or Markdown document showing images grouped by page, captioned with
+// their alt text and the text of their block.
+
+// Group images by page title, keeping the order in which pages first appear
+function groupImagesByPage(images) {
+    const groups = new Map();
+    images.forEach(image => {
+        if (!groups.has(image.pageTitle)) groups.set(image.pageTitle, []);
+        groups.get(image.pageTitle).push(image);
+    });
+    return [...groups.entries()].map(([pageTitle, pageImages]) => ({ pageTitle, images: pageImages }));
+}
+
+// Block text without the image markup itself, for use as a caption
+function stripImageMarkup(text) {
+    return (text || '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\{\{\s*(?:\[\[)?(?:upload|image|iframe)(?:\]\])?\s*:[^}]*\}\}/gi, ' ')
+        .replace(/<img\b[^>]*>/gi, ' ')
+        .replace(/https?:\/\/\S+\.(?:png|jpe?g|gif|webp|svg)(?:\?\S*)?/gi, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Read a fetched image into a data: URI
+async function responseToDataUri(response) {
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Alt text worth showing as a caption (not the placeholder for images without one)
+function getReportAlt(image) {
+    return image.alt && image.alt !== DEFAULT_ALT_TEXT ? image.alt : '';
+}
+
+function getReportSummary(images) {
+    const pageCount = new Set(images.map(image => image.pageTitle)).size;
+    return `Exported ${formatDateStamp(Date.now())} · ${images.length} image${images.length === 1 ? '' : 's'} from ${pageCount} page${pageCount === 1 ? '' : 's'}`;
+}
+
+// Self-contained HTML report. `sources` maps image URLs to the src to use (e.g. a data: URI);
+// images without an entry are linked by URL.
+function buildHtmlReport(images, { title, sources = new Map() }) {
+    const sections = groupImagesByPage(images).map(({ pageTitle, images: pageImages }) => {
+        const figures = pageImages.map(image => {
+            const alt = getReportAlt(image);
+            const caption = stripImageMarkup(image.blockContent);
+            const date = image.createTime ? new Date(image.createTime).toLocaleDateString() : '';
+            return `
+      <figure>
+        <a href="${escapeHtml(image.url)}" target="_blank" rel="noopener noreferrer"><img src="${escapeHtml(sources.get(image.url) || image.url)}" alt="${escapeHtml(alt)}" loading="lazy"></a>
+        <figcaption>
+          ${alt ? `<strong>${escapeHtml(alt)}</strong>` : ''}
+          ${caption ? `<p>${escapeHtml(caption)}</p>` : ''}
+          ${date ? `<time>${escapeHtml(date)}</time>` : ''}
+        </figcaption>
+      </figure>`;
+        }).join('');
+        return `
+    <section>
+      <h2>${escapeHtml(pageTitle)} <span>${pageImages.length}</span></h2>
+      <div class="grid">${figures}
+      </div>
+    </section>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; padding: 32px; max-width: 1200px; color: #182026; background: #f5f8fa; }
+    header p { color: #5c7080; }
+    h2 { margin-top: 40px; border-bottom: 1px solid #ced9e0; padding-bottom: 8px; }
+    h2 span { font-size: 14px; font-weight: normal; color: #8a9ba8; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 16px; }
+    figure { margin: 0; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+    figure img { display: block; width: 100%; height: auto; background: #ebf1f5; }
+    figcaption { padding: 8px 12px 12px; font-size: 13px; line-height: 1.4; }
+    figcaption p { margin: 4px 0; color: #394b59; }
+    figcaption time { font-size: 12px; color: #8a9ba8; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(getReportSummary(images))}</p>
+  </header>${sections}
+</body>
+</html>
+`;
+}
+
+// Markdown report with the same grouping and captions as the HTML report
+function buildMarkdownReport(images, { title, sources = new Map() }) {
+    // Block text keeps Roam markup (**, __, ^^, [[…]], #tag…), which would be read as formatting;
+    // line breaks are joined so a caption stays one paragraph
+    const escapeMarkdown = (text) => text
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/([\\`*_{}\[\]()#<>|~^!])/g, '\\$1')
+        .replace(/^([-+])/, '\\$1')
+        .replace(/^(\d+)([.)])/, '$1\\$2');
+    // The <…> destination allows spaces and parentheses; only angle brackets and line breaks need encoding
+    const markdownUrl = (url) => `<${url.replace(/[<>\r\n]/g, c => encodeURIComponent(c))}>`;
+    const lines = [`# ${escapeMarkdown(title)}`, '', `_${getReportSummary(images)}_`];
+    
+    groupImagesByPage(images).forEach(({ pageTitle, images: pageImages }) => {
+        lines.push('', `## ${escapeMarkdown(pageTitle)}`);
+        pageImages.forEach(image => {
+            const alt = getReportAlt(image);
+            const caption = stripImageMarkup(image.blockContent);
+            const details = [
+                alt ? `**${escapeMarkdown(alt)}**` : '',
+                escapeMarkdown(caption),
+                image.createTime ? `_${new Date(image.createTime).toLocaleDateString()}_` : ''
+            ].filter(Boolean).join(' — ');
+            lines.push('', `![${escapeMarkdown(alt)}](${markdownUrl(sources.get(image.url) || image.url)})`);
+            if (details) lines.push('', details);
+        });
+    });
+    
+    return `${lines.join('\n')}\n`;
+}
+
+// Build a report; with `embedImages` every image is fetched and inlined as a data: URI, and
+// images that cannot be fetched stay linked by URL. Progress and cancellation work as in
+// fetchImages. Resolves to { blob, fileName, embedded, failures }.
+async function exportImagesAsReport(images, { format, title, embedImages, signal = null, onProgress = () => {} }) {
+    const sources = new Map();
+    let failures = [];
+    
+    if (embedImages) {
+        const results = await fetchImages(images, { read: responseToDataUri, signal, onProgress });
+        results.forEach(({ image, data }) => {
+            if (data) sources.set(image.url, data);
+        });
+        failures = results.filter(result => result.error);
+    }
+    
+    const report = format === 'html'
+        ? buildHtmlReport(images, { title, sources })
+        : buildMarkdownReport(images, { title, sources });
+    const extension = format === 'html' ? 'html' : 'md';
+    
+    return {
+        blob: new Blob([report], { type: format === 'html' ? 'text/html' : 'text/markdown' }),
+        fileName: `${sanitizeFileName(title) || 'roam-images'}-${formatDateStamp(Date.now())}.${extension}`,
+        embedded: sources.size,
+        failures
+    };
+}
+
+const EXPORT_FORMATS = [
+    { value: 'zip', label: 'ZIP archive (images + manifest)', button: 'Export ZIP' },
+    { value: 'html', label: 'HTML report', button: 'Export HTML' },
+    { value: 'markdown', label: 'Markdown document', button: 'Export Markdown' }
+];
+
+// Dialog to export images: pick a format and its options, then follow the progress.
+// The export can be cancelled while it runs; failed images are listed at the end.
+// `reportTitle` heads HTML and Markdown reports.
+function openExportDialog(images, { title = `Export ${images.length} images`, reportTitle = 'Roam images' } = {}) {
+    const overlay = document.createElement("div");
+    overlay.className = "bp3-overlay bp3-overlay-open";
+    overlay.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 1000;
+    `;
+    
+    const dialog = document.createElement("div");
+    dialog.className = "bp3-dialog";
+    dialog.style.cssText = "width: 480px; padding: 16px 20px; margin: 0; font-size: 13px;";
+    
+    const heading = document.createElement("h4");
+    heading.textContent = title;
+    heading.style.margin = "0 0 12px 0";
+    
+    const body = document.createElement("div");
+    const footer = document.createElement("div");
+    footer.style.cssText = "display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;";
+    
+    let controller = null;
+    const close = () => {
+        if (controller) controller.abort();
+        overlay.remove();
+    };
+    
+    // Keep keys (Escape in particular) from reaching the gallery behind the dialog
+    overlay.onkeydown = (e) => {
+        e.stopPropagation();
+        if (e.key === "Escape") close();
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay && !controller) close();
+    };
+    
+    const addButton = (text, className, onClick) => {
+        const button = document.createElement("button");
+        button.className = `bp3-button ${className}`;
+        button.textContent = text;
+        button.onclick = onClick;
+        footer.appendChild(button);
+        return button;
+    };
+    
+    const hint = (text) => {
+        const div = document.createElement("div");
+        div.style.cssText = "color: #5c7080; font-size: 12px; margin-top: 8px; word-break: break-all;";
+        div.textContent = text;
+        return div;
+    };
+    
+    // Step 1: format and its options
+    const formatLabel = document.createElement("label");
+    formatLabel.className = "bp3-label";
+    formatLabel.textContent = "Format";
+    
+    const formatSelect = document.createElement("div");
+    formatSelect.className = "bp3-select bp3-fill";
+    const formatSelector = document.createElement("select");
+    EXPORT_FORMATS.forEach(format => {
+        const option = document.createElement("option");
+        option.value = format.value;
+        option.textContent = format.label;
+        if (format.value === EXPORT_FORMAT) option.selected = true;
+        formatSelector.appendChild(option);
+    });
+    formatSelect.appendChild(formatSelector);
+    formatLabel.appendChild(formatSelect);
+    
+    // ZIP: file name pattern with a live preview
+    const zipOptions = document.createElement("div");
+    
+    const patternLabel = document.createElement("label");
+    patternLabel.className = "bp3-label";
+    patternLabel.textContent = "File names";
+    
+    const patternInput = document.createElement("input");
+    patternInput.className = "bp3-input bp3-fill";
+    patternInput.type = "text";
+    patternInput.value = EXPORT_FILENAME_PATTERN;
+    patternLabel.appendChild(patternInput);
+    
+    const help = hint(`Available: ${EXPORT_FILENAME_TOKENS.map(token => `{${token}}`).join(' ')}`);
+    help.style.marginTop = "-8px";
+    
+    const preview = hint("");
+    const updatePreview = () => {
+        preview.textContent = images.length > 0
+            ? `e.g. ${formatImageFileName(images[0], 1, patternInput.value || EXPORT_FILENAME_PATTERN)}`
+            : '';
+    };
+    patternInput.oninput = updatePreview;
+    updatePreview();
+    
+    zipOptions.appendChild(patternLabel);
+    zipOptions.appendChild(help);
+    zipOptions.appendChild(preview);
+    zipOptions.appendChild(hint("The archive also contains manifest.json and manifest.csv listing each image's block, page, alt text and original URL."));
+    
+    // Reports: embed images or link to them
+    const reportOptions = document.createElement("div");
+    
+    const embedLabel = document.createElement("label");
+    embedLabel.className = "bp3-control bp3-checkbox";
+    const embedCheckbox = document.createElement("input");
+    embedCheckbox.type = "checkbox";
+    embedCheckbox.checked = EXPORT_EMBED_IMAGES;
+    const embedIndicator = document.createElement("span");
+    embedIndicator.className = "bp3-control-indicator";
+    embedLabel.appendChild(embedCheckbox);
+    embedLabel.appendChild(embedIndicator);
+    embedLabel.appendChild(document.createTextNode("Embed images in the file"));
+    
+    reportOptions.appendChild(embedLabel);
+    reportOptions.appendChild(hint("Embedded images make the file work offline and without access to Roam, but larger. Otherwise images are linked by their original URL. Images are grouped by page and captioned with their alt text and block."));
+    
+    body.appendChild(formatLabel);
+    body.appendChild(zipOptions);
+    body.appendChild(reportOptions);
+    
+    addButton("Cancel", "", close);
+    const exportButton = addButton("", "bp3-intent-primary bp3-icon-download", () => runExport());
+    exportButton.disabled = images.length === 0;
+    
+    const showFormatOptions = () => {
+        const format = EXPORT_FORMATS.find(item => item.value === formatSelector.value) || EXPORT_FORMATS[0];
+        zipOptions.style.display = format.value === 'zip' ? "block" : "none";
+        reportOptions.style.display = format.value === 'zip' ? "none" : "block";
+        exportButton.textContent = format.button;
+    };
+    formatSelector.onchange = showFormatOptions;
+    showFormatOptions();
+    
+    // Step 2: progress, then a summary
+    const runExport = async () => {
+        const format = formatSelector.value;
+        EXPORT_FORMAT = format;
+        localStorage.setItem('imager-export-format', EXPORT_FORMAT);
+        if (format === 'zip') {
+            EXPORT_FILENAME_PATTERN = patternInput.value.trim() || EXPORT_FILENAME_PATTERN;
+            localStorage.setItem('imager-export-pattern', EXPORT_FILENAME_PATTERN);
+        } else {
+            EXPORT_EMBED_IMAGES = embedCheckbox.checked;
+            localStorage.setItem('imager-export-embed-images', EXPORT_EMBED_IMAGES);
+        }
+        
+        body.innerHTML = "";
+        footer.innerHTML = "";
+        
+        const progressBar = document.createElement("div");
+        progressBar.className = "bp3-progress-bar bp3-intent-primary";
+        const progressMeter = document.createElement("div");
+        progressMeter.className = "bp3-progress-meter";
+        progressMeter.style.width = "0%";
+        progressBar.appendChild(progressMeter);
+        
+        const progressText = document.createElement("div");
+        progressText.style.cssText = "margin-top: 8px; color: #5c7080;";
+        progressText.textContent = `Fetching 0 of ${images.length} images...`;
+        
+        body.appendChild(progressBar);
+        body.appendChild(progressText);
+        addButton("Cancel export", "", close);
+        
+        const onProgress = ({ done, total, failed }) => {
+            progressMeter.style.width = `${Math.round(done / total * 100)}%`;
+            progressText.textContent = `Fetching ${done} of ${total} images...${failed > 0 ? ` (${failed} failed)` : ''}`;
+        };
+        
+        controller = new AbortController();
+        try {
+            let summaryText;
+            let failures;
+            if (format === 'zip') {
+                const result = await exportImagesAsZip(images, {
+                    pattern: EXPORT_FILENAME_PATTERN,
+                    signal: controller.signal,
+                    onProgress
+                });
+                downloadBlob(result.blob, `roam-images-${formatDateStamp(Date.now())}.zip`);
+                summaryText = `Exported ${result.downloaded} of ${images.length} images.`;
+                failures = result.failures;
+            } else {
+                const result = await exportImagesAsReport(images, {
+                    format,
+                    title: reportTitle,
+                    embedImages: EXPORT_EMBED_IMAGES,
+                    signal: controller.signal,
+                    onProgress
+                });
+                downloadBlob(result.blob, result.fileName);
+                summaryText = EXPORT_EMBED_IMAGES
+                    ? `Exported a report of ${images.length} images, ${result.embedded} embedded.`
+                    : `Exported a report of ${images.length} images.`;
+                failures = result.failures;
+            }
+            controller = null;
+            
+            body.innerHTML = "";
+            footer.innerHTML = "";
+            const summary = document.createElement("div");
+            summary.textContent = summaryText;
+            body.appendChild(summary);
+            
+            if (failures.length > 0) {
+                const failureList = document.createElement("div");
+                failureList.style.cssText = "margin-top: 8px; max-height: 160px; overflow-y: auto; color: #c23030; font-size: 12px; word-break: break-all;";
+                failureList.textContent = format === 'zip'
+                    ? `${failures.length} could not be fetched (they are marked as failed in the manifest):`
+                    : `${failures.length} could not be fetched and are linked by URL instead:`;
+                failures.forEach(({ image, error }) => {
+                    const item = document.createElement("div");
+                    item.textContent = `${image.url}: ${error}`;
+                    failureList.appendChild(item);
+                });
+                body.appendChild(failureList);
+            }
+            addButton("Close", "bp3-intent-primary", close);
+        } catch (error) {
+            // Cancelling closes the dialog, so there is nothing left to update
+            if (error.name !== "AbortError") {
+                controller = null;
+                console.error("Export failed:", error);
+                progressText.textContent = `Export failed: ${error.message}`;
+                footer.innerHTML = "";
+                addButton("Close", "", close);
+            }
+        }
+    };
+    
+    dialog.appendChild(heading);
+    dialog.appendChild(body);
+    dialog.appendChild(footer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    formatSelector.focus();
+}
+
+// Health check
+// Probes every image URL in the graph and lists broken, redirected, slow and oversized images
+// by page, in a panel that stays open while you visit their blocks. Results are recorded with
+// imageHealth, so the gallery's Health filter can show them.
+const HEALTH_REPORT_ID = "imager-health-report";
+const HEALTH_CONCURRENCY = 6; // URLs probed in parallel
+const HEALTH_TIMEOUT = 15000; // ms before a probe gives up and the image counts as broken
+const HEALTH_SLOW_MS = 3000; // Images taking longer than this to respond are slow
+const HEALTH_MAX_BYTES = 5 * 1024 * 1024; // Larger files are oversized
+const HEALTH_MAX_PIXELS = 25000000; // As are images with more pixels than this
+
+let healthCheckController = null; // Aborts the running check
+
+// Load a URL as an image, the way the gallery shows it. Works for hosts that refuse fetch
+// (no CORS headers), but cannot see redirects or file sizes.
+function loadImageProbe(url, timeout) {
+    return new Promise(resolve => {
+        const img = new Image();
+        const started = Date.now();
+        const finish = (result) => {
+            clearTimeout(timer);
+            img.onload = img.onerror = null;
+            img.removeAttribute("src");
+            resolve({ ...result, duration: Date.now() - started });
+        };
+        const timer = setTimeout(() => finish({ ok: false, error: `Timed out after ${Number((timeout / 1000).toFixed(1))} s` }), timeout);
+        img.onload = () => finish({ ok: true, width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => finish({ ok: false, error: "Failed to load" });
+        img.src = url;
+    });
+}
+
+// Probe one image URL. `width` and `height` are the known dimensions of the image, if any.
+// Resolves to a health result (see "Image health"); aborting `signal` rejects.
+async function probeImageUrl(url, { signal = null, width = 0, height = 0 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', cancel);
+    
+    const started = Date.now();
+    let result = { httpStatus: null, finalUrl: null, size: null, error: null };
+    try {
+        // HEAD shows the status, redirects and size without downloading; some servers only answer GET
+        let response = await fetch(url, { method: 'HEAD', signal: controller.signal });
+        if (response.status === 405 || response.status === 501) {
+            response = await fetch(url, { signal: controller.signal });
+        }
+        const length = parseInt(response.headers.get('content-length'), 10);
+        result = {
+            ...result,
+            status: response.ok ? 'ok' : 'broken',
+            httpStatus: response.status,
+            finalUrl: response.redirected ? response.url : null,
+            duration: Date.now() - started,
+            size: Number.isFinite(length) ? length : null,
+            error: response.ok ? null : `HTTP ${response.status}`
+        };
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        if (controller.signal.aborted) {
+            result = { ...result, status: 'broken', duration: HEALTH_TIMEOUT, error: `Timed out after ${HEALTH_TIMEOUT / 1000} s` };
+        } else {
+            // Most likely blocked by CORS; see whether it loads as an image instead
+            const probe = await loadImageProbe(url, Math.max(0, HEALTH_TIMEOUT - (Date.now() - started)));
+            result = { ...result, status: probe.ok ? 'ok' : 'broken', duration: probe.duration, error: probe.error || null };
+            if (probe.ok) {
+                width = probe.width || width;
+                height = probe.height || height;
+            }
+        }
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', cancel);
+        // Stop whatever is left of a GET body
+        controller.abort();
+    }
+    
+    const issues = result.status === 'broken' ? ['broken'] : [
+        result.finalUrl && 'redirected',
+        result.duration > HEALTH_SLOW_MS && 'slow',
+        (result.size > HEALTH_MAX_BYTES || width * height > HEALTH_MAX_PIXELS) && 'oversized'
+    ].filter(Boolean);
+    
+    return { ...result, issues, width: width || null, height: height || null, checkedAt: Date.now() };
+}
+
+// Probe the distinct URLs of `images` a few at a time and record the results.
+// onProgress({ done, total, problems }) is called as URLs finish; aborting `signal` stops the
+// check and rejects with an AbortError.
+async function checkImageHealth(images, { signal = null, onProgress = () => {} } = {}) {
+    const pending = [...new Map(images.map(image => [image.url, image])).values()];
+    let next = 0;
+    let done = 0;
+    let problems = 0;
+    
+    const checkNext = async () => {
+        while (next < pending.length && !(signal && signal.aborted)) {
+            const image = pending[next++];
+            try {
+                const result = await probeImageUrl(image.url, { signal, width: image.width, height: image.height });
+                imageHealth.set(image.url, result);
+                if (result.issues.length > 0) problems++;
+            } catch (error) {
+                if (signal && signal.aborted) return;
+                console.error(`Failed to check ${image.url}:`, error);
+            }
+            done++;
+            onProgress({ done, total: pending.length, problems });
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(HEALTH_CONCURRENCY, pending.length) }, checkNext));
+    if (signal && signal.aborted) throw new DOMException("Health check cancelled", "AbortError");
+}
+
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// One line describing a health result, e.g. "HTTP 404" or "4.2 s · 12.3 MB · 8000 × 6000"
+function formatHealthDetails(result) {
+    const details = [];
+    if (result.error) details.push(result.error);
+    if (result.finalUrl) details.push(`Redirects to ${result.finalUrl}`);
+    if (result.status === 'ok' && result.duration !== null) details.push(`${(result.duration / 1000).toFixed(1)} s`);
+    if (result.size !== null) details.push(formatFileSize(result.size));
+    if (result.width && result.height) details.push(`${result.width} × ${result.height}`);
+    return details.join(' · ');
+}
+
+// Panel that runs the health check over the whole graph and reports the images with issues
+async function showImageHealthCheck() {
+    if (document.getElementById(HEALTH_REPORT_ID)) return;
+    
+    const panel = document.createElement("div");
+    panel.id = HEALTH_REPORT_ID;
+    panel.className = "bp3-card bp3-elevation-3";
+    panel.style.cssText = `
+        position: fixed;
+        right: 20px;
+        bottom: 20px;
+        width: 440px;
+        max-height: 70vh;
+        display: flex;
+        flex-direction: column;
+        padding: 0;
+        z-index: 999;
+        font-size: 13px;
+    `;
+    
+    const header = document.createElement("div");
+    header.style.cssText = "display: flex; justify-content: space-between; align-items: center; padding: 8px 8px 8px 16px; border-bottom: 1px solid #e0e0e0;";
+    const heading = document.createElement("h4");
+    heading.textContent = "Image health";
+    heading.style.margin = "0";
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "bp3-button bp3-minimal bp3-small bp3-icon-cross";
+    header.appendChild(heading);
+    header.appendChild(closeBtn);
+    
+    const body = document.createElement("div");
+    body.style.cssText = "flex: 1; overflow-y: auto; padding: 12px 16px;";
+    const footer = document.createElement("div");
+    footer.style.cssText = "display: flex; justify-content: flex-end; gap: 8px; padding: 8px 16px; border-top: 1px solid #e0e0e0;";
+    
+    const close = () => {
+        if (healthCheckController) healthCheckController.abort();
+        healthCheckController = null;
+        panel.remove();
+    };
+    closeBtn.onclick = close;
+    
+    const addButton = (text, className, onClick) => {
+        const button = document.createElement("button");
+        button.className = `bp3-button bp3-small ${className}`;
+        button.textContent = text;
+        button.onclick = onClick;
+        footer.appendChild(button);
+        return button;
+    };
+    
+    const createTag = ({ label, intent }) => {
+        const tag = document.createElement("span");
+        tag.className = `bp3-tag bp3-minimal bp3-intent-${intent}`;
+        tag.textContent = label;
+        return tag;
+    };
+    
+    const showBrokenInGallery = () => {
+        closeImageGallery();
+        showImageGallery(null, { facets: { ...EMPTY_FACETS, health: ['Broken'] }, facetsOpen: true });
+    };
+    
+    const renderReport = (images) => {
+        body.innerHTML = "";
+        footer.innerHTML = "";
+        
+        const problems = images
+            .filter(image => (getImageHealthIssues(image) || []).length > 0)
+            .sort((a, b) => a.pageTitle.localeCompare(b.pageTitle));
+        
+        const summary = document.createElement("div");
+        summary.style.cssText = "display: flex; flex-wrap: wrap; gap: 4px; align-items: center; margin-bottom: 8px;";
+        summary.appendChild(document.createTextNode(`Checked ${new Set(images.map(image => image.url)).size} images. `));
+        HEALTH_ISSUES.forEach(issue => {
+            const count = new Set(problems.filter(image => getImageHealthIssues(image).includes(issue.key)).map(image => image.url)).size;
+            if (count > 0) summary.appendChild(createTag({ ...issue, label: `${count} ${issue.label.toLowerCase()}` }));
+        });
+        if (problems.length === 0) summary.appendChild(document.createTextNode("No problems found."));
+        body.appendChild(summary);
+        
+        groupImagesByPage(problems).forEach(({ pageTitle, images: pageImages }) => {
+            const pageHeading = document.createElement("div");
+            pageHeading.style.cssText = "margin: 12px 0 4px 0; font-weight: 600;";
+            pageHeading.appendChild(createRoamLink(pageTitle, inSidebar => openPageInRoam(pageTitle, inSidebar)));
+            body.appendChild(pageHeading);
+            
+            pageImages.forEach(image => {
+                const result = imageHealth.get(image.url);
+                const row = document.createElement("div");
+                row.style.cssText = "padding: 6px 0; border-bottom: 1px solid #f0f0f0;";
+                
+                const tags = document.createElement("div");
+                tags.style.cssText = "display: flex; gap: 4px; margin-bottom: 4px;";
+                result.issues.forEach(key => tags.appendChild(createTag(HEALTH_ISSUES.find(issue => issue.key === key))));
+                
+                // The block text links to the block
+                const text = stripImageMarkup(image.blockContent) || image.alt || "Go to block";
+                const blockLink = createRoamLink(text.length > 100 ? `${text.slice(0, 100)}…` : text, inSidebar => openBlockInRoam(image.uid, inSidebar));
+                blockLink.style.display = "block";
+                
+                const url = document.createElement("div");
+                url.style.cssText = "color: #5c7080; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+                url.textContent = image.url;
+                url.title = image.url;
+                
+                const details = document.createElement("div");
+                details.style.cssText = "color: #5c7080; font-size: 12px; word-break: break-all;";
+                details.textContent = formatHealthDetails(result);
+                
+                row.appendChild(tags);
+                row.appendChild(blockLink);
+                row.appendChild(url);
+                row.appendChild(details);
+                body.appendChild(row);
+            });
+        });
+        
+        const brokenButton = addButton("Show broken in gallery", "bp3-icon-filter", showBrokenInGallery);
+        brokenButton.disabled = !problems.some(image => getImageHealthIssues(image).includes('broken'));
+        addButton("Check again", "", run);
+        addButton("Close", "bp3-intent-primary", close);
+    };
+    
+    const run = async () => {
+        body.innerHTML = "";
+        footer.innerHTML = "";
+        
+        const progressBar = document.createElement("div");
+        progressBar.className = "bp3-progress-bar bp3-intent-primary";
+        const progressMeter = document.createElement("div");
+        progressMeter.className = "bp3-progress-meter";
+        progressMeter.style.width = "0%";
+        progressBar.appendChild(progressMeter);
+        
+        const progressText = document.createElement("div");
+        progressText.style.cssText = "margin-top: 8px; color: #5c7080;";
+        progressText.textContent = "Finding images...";
+        
+        body.appendChild(progressBar);
+        body.appendChild(progressText);
+        addButton("Cancel", "", close);
+        
+        const controller = new AbortController();
+        healthCheckController = controller;
+        try {
+            // Context loading may go on after the scan; the check only needs the URLs.
+            // If the scan fails, the sync resolves with the cached images instead.
+            const images = getShownImages(await new Promise((resolve, reject) => {
+                syncImageIndex(null, { onScanned: resolve }).then(resolve, reject);
+            }));
+            if (controller.signal.aborted) return;
+            
+            await checkImageHealth(images, {
+                signal: controller.signal,
+                onProgress: ({ done, total, problems }) => {
+                    progressMeter.style.width = `${Math.round(done / total * 100)}%`;
+                    progressText.textContent = `Checking ${done} of ${total} images...${problems > 0 ? ` (${problems} with issues)` : ''}`;
+                }
+            });
+            healthCheckController = null;
+            renderReport(images);
+        } catch (error) {
+            // Cancelling closes the panel, so there is nothing left to update
+            if (error.name !== "AbortError") {
+                healthCheckController = null;
+                console.error("Health check failed:", error);
+                progressText.textContent = `Health check failed: ${error.message}`;
+                footer.innerHTML = "";
+                addButton("Close", "", close);
+            }
+        }
+    };
+    
+    panel.appendChild(header);
+    panel.appendChild(body);
+    panel.appendChild(footer);
+    document.body.appendChild(panel);
+    run();
+}
+
+// Duplicate finder
+// Clusters images that are the same URL used in several blocks, or different URLs showing the
+// same picture according to a perceptual hash (dHash) of a downscaled copy. A cluster's blocks
+// can be pointed at one canonical URL; every replacement is kept in an undo log.
+const DUPLICATES_ID = "imager-duplicates";
+const HASH_CONCURRENCY = 4; // Images loaded for hashing in parallel
+const HASH_TIMEOUT = 15000; // ms before an image that does not load is skipped
+const DUPLICATE_HASH_DISTANCE = 6; // Max differing bits (of 64) for two images to count as the same
+const DUPLICATE_UNDO_LIMIT = 20; // Replacements kept in the undo log
+
+const imageHashes = createUrlResultStore('hashes'); // URL -> 16 hex digit dHash
+
+let duplicateFinderController = null; // Aborts the running hashing
+
+// Load an image with CORS enabled, so its pixels can be read from a canvas
+function loadImageForHashing(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const timer = setTimeout(() => {
+            img.onload = img.onerror = null;
+            reject(new Error("Timed out"));
+        }, HASH_TIMEOUT);
+        img.crossOrigin = "anonymous";
+        img.onload = () => {
+            clearTimeout(timer);
+            resolve(img);
+        };
+        img.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error("Failed to load (or no CORS access)"));
+        };
+        img.src = url;
+    });
+}
+
+// Difference hash: shrink to 9×8 grey pixels and record whether each pixel is brighter than its
+// right neighbour. Resized, recompressed or slightly edited copies get (nearly) the same hash.
+function computeDifferenceHash(img) {
+    // Shrink in two steps; a single drawImage to 9×8 samples too few pixels
+    const thumbnail = document.createElement("canvas");
+    thumbnail.width = 64;
+    thumbnail.height = 64;
+    const thumbnailContext = thumbnail.getContext("2d");
+    thumbnailContext.imageSmoothingQuality = "high";
+    thumbnailContext.fillStyle = "#fff"; // Transparent areas count as white
+    thumbnailContext.fillRect(0, 0, 64, 64);
+    thumbnailContext.drawImage(img, 0, 0, 64, 64);
+    
+    const canvas = document.createElement("canvas");
+    canvas.width = 9;
+    canvas.height = 8;
+    const context = canvas.getContext("2d");
+    context.imageSmoothingQuality = "high";
+    context.drawImage(thumbnail, 0, 0, 9, 8);
+    const { data } = context.getImageData(0, 0, 9, 8); // Throws for images without CORS access
+    
+    const brightness = (x, y) => {
+        const i = (y * 9 + x) * 4;
+        return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    };
+    
+    let hash = '';
+    for (let y = 0; y < 8; y++) {
+        let byte = 0;
+        for (let x = 0; x < 8; x++) {
+            byte = (byte << 1) | (brightness(x, y) > brightness(x + 1, y) ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+// Hash the distinct URLs of `images` that have no hash yet, a few at a time.
+// onProgress({ done, total }) is called as images finish; aborting `signal` rejects with an
+// AbortError. Resolves to the number of URLs that could not be hashed.
+async function hashImages(images, { signal = null, onProgress = () => {} } = {}) {
+    const pending = [...new Set(images.map(image => image.url))].filter(url => !imageHashes.has(url));
+    let next = 0;
+    let done = 0;
+    let failed = 0;
+    
+    const hashNext = async () => {
+        while (next < pending.length && !(signal && signal.aborted)) {
+            const url = pending[next++];
+            try {
+                imageHashes.set(url, computeDifferenceHash(await loadImageForHashing(url)));
+            } catch (error) {
+                failed++;
+            }
+            done++;
+            onProgress({ done, total: pending.length });
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(HASH_CONCURRENCY, pending.length) }, hashNext));
+    if (signal && signal.aborted) throw new DOMException("Duplicate search cancelled", "AbortError");
+    return failed;
+}
+
+// Split a hex hash into two 32-bit halves for counting differing bits
+function parseHash(hash) {
+    return hash ? [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)] : null;
+}
+
+function countBits(value) {
+    let count = 0;
+    for (let bits = value; bits !== 0; bits &= bits - 1) count++;
+    return count;
+}
+
+function getBlockCount(images) {
+    return new Set(images.map(image => image.uid)).size;
+}
+
+// Group images into duplicate clusters: one URL used in several blocks, or different URLs whose
+// hashes differ in at most DUPLICATE_HASH_DISTANCE bits. Returns [{ sources, similar, blockCount }],
+// biggest first, where `sources` is [{ url, images }] with the most used URL first and
+// `similar` tells that the cluster has more than one URL.
+function findDuplicateClusters(images, getHash) {
+    const imagesByUrl = new Map();
+    images.forEach(image => {
+        if (!imagesByUrl.has(image.url)) imagesByUrl.set(image.url, []);
+        imagesByUrl.get(image.url).push(image);
+    });
+    const urls = [...imagesByUrl.keys()];
+    
+    // Union-find over URLs with close hashes
+    const parents = urls.map((url, i) => i);
+    const findRoot = (i) => {
+        while (parents[i] !== i) {
+            parents[i] = parents[parents[i]];
+            i = parents[i];
+        }
+        return i;
+    };
+    
+    // Split each hash into DUPLICATE_HASH_DISTANCE + 2 bands of hex digits. Two hashes that
+    // differ in at most DUPLICATE_HASH_DISTANCE bits have at least two bands in common, so only
+    // URLs sharing a pair of bands need comparing rather than every pair of URLs.
+    const bandCount = DUPLICATE_HASH_DISTANCE + 2;
+    const buckets = new Map(); // "first:second:digits" -> entries of `hashed`
+    const hashed = urls
+        .map((url, i) => ({ i, hash: getHash(url) }))
+        .filter(({ hash }) => hash)
+        .map(({ i, hash }) => ({ i, hash, bits: parseHash(hash) }));
+    hashed.forEach(entry => {
+        const bands = Array.from({ length: bandCount }, (_, band) => entry.hash.slice(
+            Math.floor(band * entry.hash.length / bandCount),
+            Math.floor((band + 1) * entry.hash.length / bandCount)
+        ));
+        for (let first = 0; first < bandCount; first++) {
+            for (let second = first + 1; second < bandCount; second++) {
+                const key = `${first}:${second}:${bands[first]}${bands[second]}`;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(entry);
+            }
+        }
+    });
+    
+    buckets.forEach(bucket => {
+        for (let a = 0; a < bucket.length; a++) {
+            for (let b = a + 1; b < bucket.length; b++) {
+                const rootA = findRoot(bucket[a].i);
+                const rootB = findRoot(bucket[b].i);
+                if (rootA === rootB) continue;
+                const distance = countBits(bucket[a].bits[0] ^ bucket[b].bits[0]) + countBits(bucket[a].bits[1] ^ bucket[b].bits[1]);
+                if (distance <= DUPLICATE_HASH_DISTANCE) parents[rootA] = rootB;
+            }
+        }
+    });
+    
+    const clusters = new Map();
+    urls.forEach((url, i) => {
+        const root = findRoot(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push({ url, images: imagesByUrl.get(url) });
+    });
+    
+    return [...clusters.values()]
+        .map(sources => ({
+            sources: sources.sort((a, b) => getBlockCount(b.images) - getBlockCount(a.images)),
+            similar: sources.length > 1,
+            blockCount: getBlockCount(sources.flatMap(source => source.images))
+        }))
+        .filter(cluster => cluster.blockCount > 1)
+        .sort((a, b) => b.blockCount - a.blockCount);
+}
+
+function loadDuplicateUndoLog() {
+    try {
+        return JSON.parse(localStorage.getItem('imager-duplicate-undo-log')) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveDuplicateUndoLog(log) {
+    localStorage.setItem('imager-duplicate-undo-log', JSON.stringify(log.slice(-DUPLICATE_UNDO_LIMIT)));
+}
+
+// Replace the whole-URL occurrences of `url` in a block string. A longer URL that merely
+// starts with it (a.png?v=2, a.png.bak) is left alone: the URL has to be followed by what ends
+// a URL in the extractors' syntaxes, allowing for sentence punctuation after a bare URL.
+function replaceUrl(text, url, replacement) {
+    const escaped = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`${escaped}(?=[.,;:!?]*(?:[\\s<>"'()[\\]{}]|$))`, 'g'), () => replacement);
+}
+
+// Point the blocks of a cluster's other URLs at `canonicalUrl` and log the changes.
+// Resolves to the undo log entry { time, url, changes: [{ uid, before, after }] }.
+async function replaceDuplicateUrls(sources, canonicalUrl) {
+    const changes = [];
+    
+    for (const { url, images } of sources) {
+        if (url === canonicalUrl) continue;
+        for (const uid of new Set(images.map(image => image.uid))) {
+            try {
+                const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", uid]);
+                const before = block && block[":block/string"];
+                // The block may have been edited since it was indexed
+                if (!before) continue;
+                
+                const after = replaceUrl(before, url, canonicalUrl);
+                if (after === before) continue;
+                await window.roamAlphaAPI.updateBlock({ block: { uid, string: after } });
+                changes.push({ uid, before, after });
+            } catch (error) {
+                console.error(`Failed to update block ${uid}:`, error);
+            }
+        }
+    }
+    
+    const entry = { time: Date.now(), url: canonicalUrl, changes };
+    if (changes.length > 0) saveDuplicateUndoLog([...loadDuplicateUndoLog(), entry]);
+    return entry;
+}
+
+// Restore the blocks of an undo log entry, newest change first, and drop it from the log.
+// Blocks edited since the replacement are left alone. Resolves to { restored, skipped }.
+async function undoDuplicateReplacement(entry) {
+    let restored = 0;
+    let skipped = 0;
+    
+    for (const { uid, before, after } of [...entry.changes].reverse()) {
+        try {
+            const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", uid]);
+            if (!block || block[":block/string"] !== after) {
+                skipped++;
+                continue;
+            }
+            await window.roamAlphaAPI.updateBlock({ block: { uid, string: before } });
+            restored++;
+        } catch (error) {
+            console.error(`Failed to restore block ${uid}:`, error);
+            skipped++;
+        }
+    }
+    
+    saveDuplicateUndoLog(loadDuplicateUndoLog().filter(item => item.time !== entry.time));
+    return { restored, skipped };
+}
+
+// Dialog listing duplicate clusters among `images`, or the whole graph when none are given
+async function showDuplicateFinder(images = null) {
+    if (document.getElementById(DUPLICATES_ID)) return;
+    
+    const overlay = document.createElement("div");
+    overlay.id = DUPLICATES_ID;
+    overlay.className = "bp3-overlay bp3-overlay-open";
+    overlay.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 1000;
+    `;
+    
+    const dialog = document.createElement("div");
+    dialog.className = "bp3-dialog";
+    dialog.style.cssText = "width: 760px; max-height: 85vh; display: flex; flex-direction: column; padding: 16px 20px; margin: 0; font-size: 13px;";
+    
+    const heading = document.createElement("h4");
+    heading.textContent = "Duplicate images";
+    heading.style.margin = "0 0 12px 0";
+    
+    const body = document.createElement("div");
+    body.style.cssText = "flex: 1; overflow-y: auto;";
+    const footer = document.createElement("div");
+    footer.style.cssText = "display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;";
+    
+    const close = () => {
+        if (duplicateFinderController) duplicateFinderController.abort();
+        duplicateFinderController = null;
+        overlay.remove();
+    };
+    
+    // Keep keys (Escape in particular) from reaching the gallery behind the dialog
+    overlay.onkeydown = (e) => {
+        e.stopPropagation();
+        if (e.key === "Escape") close();
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) close();
+    };
+    
+    const addButton = (parent, text, className, onClick) => {
+        const button = document.createElement("button");
+        button.className = `bp3-button ${className}`;
+        button.textContent = text;
+        button.onclick = onClick;
+        parent.appendChild(button);
+        return button;
+    };
+    
+    const hint = (text) => {
+        const div = document.createElement("div");
+        div.style.cssText = "color: #5c7080; font-size: 12px; word-break: break-all;";
+        div.textContent = text;
+        return div;
+    };
+    
+    const describeUndo = ({ restored, skipped }) =>
+        `Restored ${restored} blocks.${skipped > 0 ? ` ${skipped} were edited since and left alone.` : ''}`;
+    
+    // One source URL: thumbnail, URL and the blocks using it
+    const createSource = ({ url, images: sourceImages }, radioName, checked) => {
+        const row = document.createElement("label");
+        row.style.cssText = "display: flex; gap: 12px; align-items: flex-start; padding: 8px 0; border-top: 1px solid #f0f0f0; cursor: default;";
+        
+        let radio = null;
+        if (radioName) {
+            radio = document.createElement("input");
+            radio.type = "radio";
+            radio.name = radioName;
+            radio.value = url;
+            radio.checked = checked;
+            radio.title = "Keep this URL";
+            radio.style.marginTop = "4px";
+            row.appendChild(radio);
+        }
+        
+        const thumbnail = document.createElement("img");
+        thumbnail.src = url;
+        thumbnail.loading = "lazy";
+        thumbnail.style.cssText = "width: 64px; height: 64px; object-fit: cover; border-radius: 4px; background: #f0f0f0; flex-shrink: 0;";
+        row.appendChild(thumbnail);
+        
+        const details = document.createElement("div");
+        details.style.cssText = "flex: 1; min-width: 0;";
+        details.appendChild(hint(url));
+        
+        const uids = new Set();
+        sourceImages.forEach(image => {
+            if (uids.has(image.uid)) return;
+            uids.add(image.uid);
+            const text = stripImageMarkup(image.blockContent) || image.alt || "Image";
+            const line = document.createElement("div");
+            line.style.cssText = "overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+            line.appendChild(createRoamLink(text, inSidebar => openBlockInRoam(image.uid, inSidebar)));
+            line.appendChild(document.createTextNode(` · ${image.pageTitle}`));
+            details.appendChild(line);
+        });
+        row.appendChild(details);
+        
+        return { row, radio };
     };
     
-    copyBtn.onclick = async (e) => {
-        e.stopPropagation();
+    const createCluster = (cluster, index) => {
+        const element = document.createElement("div");
+        element.style.cssText = "padding: 12px 0; border-bottom: 1px solid #e0e0e0;";
         
-        try {
-            // Fetch the image and convert to blob
-            const response = await fetch(imageUrl);
-            const blob = await response.blob();
-            
-            // Create clipboard item
-            const clipboardItem = new ClipboardItem({
-                [blob.type]: blob
-            });
-            
-            // Copy to clipboard
-            await navigator.clipboard.write([clipboardItem]);
-            
-            // Show success feedback
-            const originalText = copyBtn.innerHTML;
-            copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-tick"></span> Copied!';
-            copyBtn.style.background = "#0f9960";
-            copyBtn.style.color = "white";
-            
-            setTimeout(() => {
-                copyBtn.innerHTML = originalText;
-                copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
-                copyBtn.style.color = "#106ba3";
-            }, 2000);
-        } catch (error) {
-            console.error("Failed to copy image:", error);
+        const title = document.createElement("div");
+        title.style.cssText = "font-weight: 600; margin-bottom: 4px;";
+        title.textContent = cluster.similar
+            ? `${cluster.sources.length} copies of an image, in ${cluster.blockCount} blocks`
+            : `One URL used in ${cluster.blockCount} blocks`;
+        element.appendChild(title);
+        
+        // Only clusters with several URLs have something to replace
+        const radioName = cluster.similar ? `imager-duplicate-${index}` : null;
+        const radios = cluster.sources.map((source, i) => {
+            const { row, radio } = createSource(source, radioName, i === 0);
+            element.appendChild(row);
+            return radio;
+        });
+        if (!cluster.similar) return element;
+        
+        const actions = document.createElement("div");
+        actions.style.cssText = "display: flex; gap: 8px; align-items: center; margin-top: 4px;";
+        const status = hint("Choose the URL to keep, then point the other blocks at it.");
+        status.style.flex = "1";
+        actions.appendChild(status);
+        
+        const replaceButton = addButton(actions, "Use selected URL everywhere", "bp3-small bp3-intent-primary", async () => {
+            const canonicalUrl = radios.find(radio => radio.checked).value;
+            const others = cluster.sources.filter(source => source.url !== canonicalUrl);
+            const blockCount = getBlockCount(others.flatMap(source => source.images));
+            if (!window.confirm(`Replace ${others.length === 1 ? 'the other URL' : `${others.length} other URLs`} in ${blockCount} blocks with\n${canonicalUrl}?`)) return;
             
-            // Show error feedback
-            const originalText = copyBtn.innerHTML;
-            copyBtn.innerHTML = '<span class="bp3-icon bp3-icon-error"></span> Copy failed';
-            copyBtn.style.background = "#db3737";
-            copyBtn.style.color = "white";
+            replaceButton.disabled = true;
+            radios.forEach(radio => { radio.disabled = true; });
+            const entry = await replaceDuplicateUrls(cluster.sources, canonicalUrl);
+            status.textContent = `Replaced in ${entry.changes.length} blocks.`;
+            replaceButton.remove();
+            renderUndoButton();
             
-            setTimeout(() => {
-                copyBtn.innerHTML = originalText;
-                copyBtn.style.background = "rgba(255, 255, 255, 0.9)";
-                copyBtn.style.color = "#106ba3";
-            }, 2000);
+            if (entry.changes.length > 0) {
+                const undoButton = addButton(actions, "Undo", "bp3-small", async () => {
+                    undoButton.disabled = true;
+                    status.textContent = describeUndo(await undoDuplicateReplacement(entry));
+                    undoButton.remove();
+                    renderUndoButton();
+                });
+            }
+        });
+        
+        element.appendChild(actions);
+        return element;
+    };
+    
+    // Undo the most recent logged replacement, including ones from earlier sessions
+    const renderUndoButton = () => {
+        footer.innerHTML = "";
+        footer.appendChild(footerStatus);
+        const log = loadDuplicateUndoLog();
+        const undoButton = addButton(footer, "Undo last replacement", "bp3-icon-undo", async () => {
+            undoButton.disabled = true;
+            footerStatus.textContent = describeUndo(await undoDuplicateReplacement(log[log.length - 1]));
+            renderUndoButton();
+        });
+        undoButton.disabled = log.length === 0;
+        if (log.length > 0) {
+            const last = log[log.length - 1];
+            undoButton.title = `${last.changes.length} blocks changed to ${last.url} on ${new Date(last.time).toLocaleString()}`;
         }
+        addButton(footer, "Close", "bp3-intent-primary", close);
     };
     
-    // Close button
-    const closeBtn = document.createElement("button");
-    closeBtn.className = "bp3-button bp3-minimal bp3-icon-cross";
-    closeBtn.style.cssText = `
-        position: absolute;
-        top: 20px;
-        right: 20px;
-        color: white;
-        font-size: 24px;
-    `;
-    closeBtn.onclick = () => lightbox.remove();
+    const footerStatus = hint("");
+    footerStatus.style.cssText += "flex: 1; align-self: center;";
     
-    // Close on background click
-    lightbox.onclick = (e) => {
-        if (e.target === lightbox) {
-            lightbox.remove();
+    const renderClusters = (allImages, unhashed) => {
+        body.innerHTML = "";
+        const clusters = findDuplicateClusters(allImages, url => imageHashes.get(url));
+        
+        const summary = document.createElement("div");
+        summary.style.marginBottom = "4px";
+        summary.textContent = clusters.length > 0
+            ? `Found ${clusters.length} ${clusters.length === 1 ? 'group' : 'groups'} of duplicates among ${new Set(allImages.map(image => image.url)).size} images.`
+            : `No duplicates among ${new Set(allImages.map(image => image.url)).size} images.`;
+        body.appendChild(summary);
+        if (unhashed > 0) {
+            body.appendChild(hint(`${unhashed} images could not be compared by content (they did not load, or their host does not allow it), so they only match by URL.`));
         }
+        
+        clusters.forEach((cluster, index) => body.appendChild(createCluster(cluster, index)));
+        renderUndoButton();
     };
     
-    // Prevent closing when clicking on image or copy button
-    contentContainer.onclick = (e) => {
-        e.stopPropagation();
+    const run = async () => {
+        const progressBar = document.createElement("div");
+        progressBar.className = "bp3-progress-bar bp3-intent-primary";
+        const progressMeter = document.createElement("div");
+        progressMeter.className = "bp3-progress-meter";
+        progressMeter.style.width = "0%";
+        progressBar.appendChild(progressMeter);
+        
+        const progressText = document.createElement("div");
+        progressText.style.cssText = "margin-top: 8px; color: #5c7080;";
+        progressText.textContent = "Finding images...";
+        
+        body.appendChild(progressBar);
+        body.appendChild(progressText);
+        addButton(footer, "Cancel", "", close);
+        
+        const controller = new AbortController();
+        duplicateFinderController = controller;
+        try {
+            const allImages = images || getShownImages(await new Promise((resolve, reject) => {
+                syncImageIndex(null, { onScanned: resolve }).then(resolve, reject);
+            }));
+            await imageHashes.load();
+            if (controller.signal.aborted) return;
+            
+            const unhashed = await hashImages(allImages, {
+                signal: controller.signal,
+                onProgress: ({ done, total }) => {
+                    progressMeter.style.width = `${Math.round(done / total * 100)}%`;
+                    progressText.textContent = `Comparing ${done} of ${total} new images...`;
+                }
+            });
+            duplicateFinderController = null;
+            renderClusters(allImages, unhashed);
+        } catch (error) {
+            // Cancelling closes the dialog, so there is nothing left to update
+            if (error.name !== "AbortError") {
+                duplicateFinderController = null;
+                console.error("Duplicate search failed:", error);
+                progressText.textContent = `Duplicate search failed: ${error.message}`;
+                footer.innerHTML = "";
+                addButton(footer, "Close", "", close);
+            }
+        }
     };
     
-    // Close on Escape key
-    const escHandler = (e) => {
-        if (e.key === "Escape") {
-            lightbox.remove();
-            document.removeEventListener("keydown", escHandler);
+    dialog.appendChild(heading);
+    dialog.appendChild(body);
+    dialog.appendChild(footer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    run();
+}
+
+// Tag syntax for a tag name: #tag, or #[[tag name]] when it has spaces or punctuation
+function formatTag(tag) {
+    return /^[\w\-/]+$/.test(tag) ? `#${tag}` : `#[[${tag}]]`;
+}
+
+// Append a tag to blocks that do not reference it yet. Returns the number of blocks changed.
+async function addTagToBlocks(uids, tag) {
+    const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const existing = new RegExp(`#${escaped}(?![\\w\\-/])|#?\\[\\[${escaped}\\]\\]`, 'i');
+    let updated = 0;
+    
+    for (const uid of uids) {
+        try {
+            const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", uid]);
+            const string = (block && block[":block/string"]) || '';
+            if (!block || existing.test(string)) continue;
+            
+            await window.roamAlphaAPI.updateBlock({ block: { uid, string: `${string} ${formatTag(tag)}` } });
+            updated++;
+        } catch (error) {
+            console.error(`Failed to tag block ${uid}:`, error);
         }
-    };
-    document.addEventListener("keydown", escHandler);
+    }
     
-    contentContainer.appendChild(img);
-    contentContainer.appendChild(copyBtn);
-    lightbox.appendChild(contentContainer);
-    lightbox.appendChild(closeBtn);
-    document.body.appendChild(lightbox);
+    return updated;
 }
 
-// Create image grid
-function createImageGrid(images, page, container, allImages = null) {
-    container.innerHTML = "";
+// Bar of bulk actions for the selected images, shown while anything is selected
+function createSelectionBar(store) {
+    const element = document.createElement("div");
+    element.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 8px;
+        flex-wrap: wrap;
+        padding: 8px 24px;
+        background: #ebf1f5;
+        font-size: 13px;
+    `;
     
-    // Store data for refresh
-    container.dataset.images = JSON.stringify(images);
-    container.dataset.currentPage = page;
+    const countLabel = document.createElement("span");
+    countLabel.style.cssText = "font-weight: 600; margin-right: 8px;";
     
-    // Store all images if provided (for search functionality)
-    if (allImages) {
-        container.dataset.allImages = JSON.stringify(allImages);
-    }
+    const status = document.createElement("span");
+    status.style.cssText = "color: #5c7080; margin-left: auto;";
     
-    const startIdx = (page - 1) * IMAGES_PER_PAGE;
-    const endIdx = Math.min(startIdx + IMAGES_PER_PAGE, images.length);
-    const pageImages = images.slice(startIdx, endIdx);
+    let statusTimer = null;
+    const showStatus = (text, persistent = false) => {
+        clearTimeout(statusTimer);
+        status.textContent = text;
+        if (!persistent) {
+            statusTimer = setTimeout(() => {
+                status.textContent = "";
+            }, 3000);
+        }
+    };
     
-    // Create masonry container with flexbox
-    const grid = document.createElement("div");
-    grid.style.cssText = `
-        display: flex;
-        gap: 16px;
-        padding: 20px;
-        align-items: flex-start;
+    const addButton = (text, icon, onClick) => {
+        const button = document.createElement("button");
+        button.className = `bp3-button bp3-small bp3-icon-${icon}`;
+        button.textContent = text;
+        button.onclick = async (e) => {
+            e.stopPropagation();
+            button.disabled = true;
+            try {
+                await onClick();
+            } catch (error) {
+                console.error(`Failed to ${text.toLowerCase()}:`, error);
+                showStatus(`${text} failed`);
+            } finally {
+                button.disabled = false;
+            }
+        };
+        element.appendChild(button);
+        return button;
+    };
+    
+    const selectedImages = () => getSelectedImages(store.getState());
+    const selectedUids = () => [...new Set(selectedImages().map(image => image.uid))];
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    
+    element.appendChild(countLabel);
+    
+    const selectAllButton = addButton("Select all", "multi-select", () => {
+        const { view } = store.getState();
+        store.setState({ selection: new Set(view.map(getImageKey)) });
+    });
+    
+    addButton("Clear", "cross", () => {
+        store.setState({ selection: new Set(), selectionAnchor: null });
+    });
+    
+    addButton("Copy as Markdown", "duplicate", async () => {
+        const urls = [...new Map(selectedImages().map(image => [image.url, image])).values()];
+        await navigator.clipboard.writeText(urls.map(image => `![${image.alt || ''}](${image.url})`).join('\n'));
+        showStatus(`Copied ${plural(urls.length, 'image')} as Markdown`);
+    });
+    
+    addButton("Copy block refs", "link", async () => {
+        const uids = selectedUids();
+        await navigator.clipboard.writeText(uids.map(uid => `((${uid}))`).join('\n'));
+        showStatus(`Copied ${plural(uids.length, 'block ref')}`);
+    });
+    
+    addButton("Open in sidebar", "add-column-right", () => {
+        const uids = selectedUids();
+        if (uids.length > 10 && !window.confirm(`Open ${uids.length} blocks in the sidebar?`)) return;
+        uids.forEach(uid => {
+            window.roamAlphaAPI.ui.rightSidebar.addWindow({ window: { type: 'block', 'block-uid': uid } });
+        });
+        showStatus(`Opened ${plural(uids.length, 'block')} in the sidebar`);
+    });
+    
+    addButton("Export", "export", () => {
+        const images = [...new Map(selectedImages().map(image => [image.url, image])).values()];
+        openExportDialog(images, { title: `Export ${plural(images.length, 'selected image')}` });
+    });
+    
+    addButton("Add tag", "tag", async () => {
+        const input = await promptForText({ title: "Add a tag to the selected blocks", placeholder: "e.g. moodboard" });
+        const tag = input && input.replace(/^#/, '').replace(/^\[\[(.*)\]\]$/, '$1').trim();
+        if (!tag) return;
+        const uids = selectedUids();
+        showStatus(`Tagging ${plural(uids.length, 'block')}...`, true);
+        const updated = await addTagToBlocks(uids, tag);
+        showStatus(`Added ${formatTag(tag)} to ${plural(updated, 'block')}`);
+    });
+    
+    element.appendChild(status);
+    
+    const render = ({ selection, view }) => {
+        element.style.display = selection.size > 0 ? "flex" : "none";
+        countLabel.textContent = `${selection.size} selected`;
+        selectAllButton.textContent = `Select all ${view.length}`;
+    };
+    render(store.getState());
+    store.subscribe(['selection', 'view'], render);
+    
+    return { element };
+}
+
+const FACET_LIST_LIMIT = 8; // Values shown per facet group before "Show all"
+
+// Collapsible side panel listing facet values with counts. Clicking a value toggles it in
+// the store's `facets`; the date histogram selects a bucket (shift-click extends the range).
+function createFacetPanel(store) {
+    const element = document.createElement("div");
+    element.style.cssText = `
+        width: 240px;
+        flex-shrink: 0;
+        overflow-y: auto;
+        padding: 12px 16px;
+        border-right: 1px solid #e0e0e0;
+        font-size: 13px;
     `;
     
-    // Create columns for masonry
-    const columns = [];
-    for (let i = 0; i < IMAGES_PER_ROW; i++) {
-        const column = document.createElement("div");
-        column.style.cssText = `
-            flex: 1;
-            display: flex;
-            flex-direction: column;
-            gap: 16px;
-        `;
-        columns.push(column);
-        grid.appendChild(column);
-    }
+    const expandedGroups = new Set(); // Groups showing all of their values
+    
+    const setFacets = (patch) => {
+        store.setState({ facets: { ...store.getState().facets, ...patch }, page: 1 });
+    };
     
-    // Track the estimated height of each column
-    const columnHeights = new Array(IMAGES_PER_ROW).fill(0);
+    const addHeading = (text, action) => {
+        const heading = document.createElement("div");
+        heading.style.cssText = "display: flex; justify-content: space-between; align-items: baseline; margin: 12px 0 6px 0; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #5c7080; font-weight: 600;";
+        heading.appendChild(document.createTextNode(text));
+        if (action) heading.appendChild(action);
+        element.appendChild(heading);
+    };
     
-    pageImages.forEach((image, idx) => {
-        // Find the shortest column
-        let minHeight = columnHeights[0];
-        let targetColumn = 0;
-        for (let i = 1; i < IMAGES_PER_ROW; i++) {
-            if (columnHeights[i] < minHeight) {
-                minHeight = columnHeights[i];
-                targetColumn = i;
-            }
-        }
-        
-        const imageContainer = document.createElement("div");
-        imageContainer.style.cssText = `
-            position: relative;
-            background: #f0f0f0;
-            border-radius: 8px;
-            overflow: hidden;
-            cursor: zoom-in;
-            transition: transform 0.2s;
-            width: 100%;
-        `;
-        
-        imageContainer.onmouseover = () => {
-            imageContainer.style.transform = "scale(1.02)";
+    const createClearLink = (onClick, text = "Clear") => {
+        const link = document.createElement("a");
+        link.textContent = text;
+        link.style.cssText = "text-transform: none; letter-spacing: 0; font-weight: normal; cursor: pointer;";
+        link.onclick = (e) => {
+            e.preventDefault();
+            onClick();
         };
+        return link;
+    };
+    
+    const renderGroup = ({ key, label }, state) => {
+        const selected = state.facets[key];
+        const counts = countFacetValues(state.searchResults, state.facets, key);
+        selected.forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
         
-        imageContainer.onmouseout = () => {
-            imageContainer.style.transform = "scale(1)";
-        };
+        addHeading(label, selected.length > 0 ? createClearLink(() => setFacets({ [key]: [] })) : null);
         
-        const img = document.createElement("img");
-        img.src = image.url;
-        img.alt = image.alt;
-        img.style.cssText = `
-            width: 100%;
-            height: auto;
-            display: block;
-        `;
+        if (counts.size === 0) {
+            const empty = document.createElement("div");
+            empty.textContent = "None";
+            empty.style.color = "#a7b6c2";
+            element.appendChild(empty);
+            return;
+        }
         
-        img.onerror = () => {
-            img.style.display = "none";
-            const placeholder = document.createElement("div");
-            placeholder.style.cssText = `
-                width: 100%;
-                height: 200px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                background: #e0e0e0;
-                color: #666;
-                font-size: 14px;
-                text-align: center;
-                padding: 8px;
-            `;
-            placeholder.textContent = "Image not found";
-            imageContainer.appendChild(placeholder);
-        };
+        // Selected values first, then the most common
+        const entries = [...counts.entries()].sort((a, b) =>
+            selected.includes(b[0]) - selected.includes(a[0]) ||
+            b[1] - a[1] ||
+            a[0].localeCompare(b[0])
+        );
+        const expanded = expandedGroups.has(key);
+        const shown = expanded ? entries : entries.slice(0, Math.max(FACET_LIST_LIMIT, selected.length));
         
-        // Click to zoom
-        imageContainer.onclick = (e) => {
-            e.stopPropagation();
-            createLightbox(image.url, image.alt);
-        };
+        shown.forEach(([value, count]) => {
+            const row = document.createElement("label");
+            row.className = "bp3-control bp3-checkbox";
+            row.style.cssText = "display: flex; align-items: center; gap: 4px; margin-bottom: 4px;";
+            row.title = value;
+            
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = selected.includes(value);
+            checkbox.onchange = () => {
+                setFacets({
+                    [key]: checkbox.checked ? [...selected, value] : selected.filter(v => v !== value)
+                });
+            };
+            
+            const indicator = document.createElement("span");
+            indicator.className = "bp3-control-indicator";
+            
+            const text = document.createElement("span");
+            text.textContent = value;
+            text.style.cssText = "flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+            
+            const countLabel = document.createElement("span");
+            countLabel.textContent = count;
+            countLabel.style.color = "#8a9ba8";
+            
+            row.appendChild(checkbox);
+            row.appendChild(indicator);
+            row.appendChild(text);
+            row.appendChild(countLabel);
+            element.appendChild(row);
+        });
         
-        // Add hover info with navigation button
-        const info = document.createElement("div");
-        info.style.cssText = `
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: rgba(0, 0, 0, 0.8);
-            color: white;
-            padding: 8px;
-            font-size: 12px;
-            transform: translateY(100%);
-            transition: transform 0.2s;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        `;
+        if (entries.length > shown.length || expanded) {
+            const toggle = createClearLink(() => {
+                if (expanded) {
+                    expandedGroups.delete(key);
+                } else {
+                    expandedGroups.add(key);
+                }
+                render(store.getState());
+            }, expanded ? "Show fewer" : `Show all ${entries.length}`);
+            toggle.style.fontSize = "12px";
+            element.appendChild(toggle);
+        }
+    };
+    
+    const renderDates = (state) => {
+        const { dates } = state.facets;
+        addHeading("Created", dates ? createClearLink(() => setFacets({ dates: null })) : null);
         
-        const infoText = document.createElement("div");
-        infoText.style.cssText = "flex: 1; overflow: hidden;";
-        infoText.innerHTML = `
-            <div style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: 500;">${image.pageTitle}</div>
-            <div style="opacity: 0.7; font-size: 11px;">${image.createTime ? new Date(image.createTime).toLocaleDateString() : 'No date'}</div>
-        `;
+        const { unit, buckets } = computeDateHistogram(state.searchResults, state.facets);
+        if (buckets.length === 0) {
+            const empty = document.createElement("div");
+            empty.textContent = "No dates";
+            empty.style.color = "#a7b6c2";
+            element.appendChild(empty);
+            return;
+        }
         
-        const navButton = document.createElement("button");
-        navButton.className = "bp3-button bp3-minimal bp3-small";
-        navButton.innerHTML = '<span class="bp3-icon bp3-icon-arrow-right"></span>';
-        navButton.style.cssText = "color: white; padding: 4px;";
-        navButton.title = "Go to source block";
-        navButton.onclick = (e) => {
-            e.stopPropagation();
-            window.roamAlphaAPI.ui.mainWindow.openBlock({
-                block: { uid: image.uid }
-            });
-        };
+        const formatBucket = (time) => unit === 'year'
+            ? String(new Date(time).getFullYear())
+            : new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
         
-        info.appendChild(infoText);
-        info.appendChild(navButton);
+        const histogram = document.createElement("div");
+        histogram.style.cssText = "display: flex; align-items: flex-end; gap: 1px; height: 60px;";
+        const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
         
-        imageContainer.onmouseover = () => {
-            info.style.transform = "translateY(0)";
-            imageContainer.style.transform = "scale(1.02)";
-        };
+        buckets.forEach(bucket => {
+            const inRange = dates && bucket.start >= dates.start && bucket.end <= dates.end;
+            const bar = document.createElement("div");
+            bar.title = `${formatBucket(bucket.start)}: ${bucket.count} image${bucket.count === 1 ? '' : 's'}`;
+            bar.style.cssText = `
+                flex: 1;
+                min-width: 2px;
+                height: ${Math.max(2, Math.round(bucket.count / maxCount * 60))}px;
+                background: ${inRange ? '#137cbd' : dates ? '#ced9e0' : '#8a9ba8'};
+                border-radius: 1px;
+                cursor: pointer;
+            `;
+            // Click picks one bucket (or clears it); shift-click extends the current range
+            bar.onclick = (e) => {
+                if (e.shiftKey && dates) {
+                    setFacets({ dates: { start: Math.min(dates.start, bucket.start), end: Math.max(dates.end, bucket.end) } });
+                } else if (dates && dates.start === bucket.start && dates.end === bucket.end) {
+                    setFacets({ dates: null });
+                } else {
+                    setFacets({ dates: { start: bucket.start, end: bucket.end } });
+                }
+            };
+            histogram.appendChild(bar);
+        });
+        element.appendChild(histogram);
         
-        imageContainer.onmouseout = () => {
-            info.style.transform = "translateY(100%)";
-            imageContainer.style.transform = "scale(1)";
-        };
+        const rangeLabel = document.createElement("div");
+        rangeLabel.style.cssText = "display: flex; justify-content: space-between; font-size: 11px; color: #8a9ba8; margin-top: 4px;";
+        const from = document.createElement("span");
+        const to = document.createElement("span");
+        if (dates) {
+            from.textContent = formatBucket(dates.start);
+            to.textContent = formatBucket(dates.end - 1);
+            from.style.color = to.style.color = "#137cbd";
+        } else {
+            from.textContent = formatBucket(buckets[0].start);
+            to.textContent = formatBucket(buckets[buckets.length - 1].start);
+        }
+        rangeLabel.appendChild(from);
+        rangeLabel.appendChild(to);
+        element.appendChild(rangeLabel);
+    };
+    
+    const render = (state) => {
+        element.style.display = state.facetsOpen ? "block" : "none";
+        if (!state.facetsOpen) return;
         
-        imageContainer.appendChild(img);
-        imageContainer.appendChild(info);
+        const scrollTop = element.scrollTop;
+        element.innerHTML = "";
         
-        // Add to the selected column
-        columns[targetColumn].appendChild(imageContainer);
+        if (hasActiveFacets(state.facets)) {
+            const clearAll = createClearLink(() => store.setState({ facets: EMPTY_FACETS, page: 1 }), "Clear all filters");
+            clearAll.style.fontSize = "12px";
+            element.appendChild(clearAll);
+        }
         
-        // Estimate the height this image will take (can be refined with actual image dimensions)
-        // Using a rough estimate: most images are between 200-400px tall
-        columnHeights[targetColumn] += 300;
-    });
+        renderDates(state);
+        FACET_GROUPS.forEach(group => renderGroup(group, state));
+        element.scrollTop = scrollTop;
+    };
     
-    container.appendChild(grid);
+    render(store.getState());
+    store.subscribe(['searchResults', 'facets', 'facetsOpen', 'healthVersion'], render);
     
-    // Create pagination controls
-    if (images.length > IMAGES_PER_PAGE) {
-        const totalPages = Math.ceil(images.length / IMAGES_PER_PAGE);
-        const pagination = document.createElement("div");
-        pagination.style.cssText = `
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            gap: 8px;
-            padding: 16px;
-            border-top: 1px solid #e0e0e0;
-        `;
-        
-        // Previous button
-        const prevBtn = document.createElement("button");
-        prevBtn.className = "bp3-button bp3-minimal";
-        prevBtn.textContent = "Previous";
-        prevBtn.disabled = page === 1;
-        prevBtn.onclick = () => createImageGrid(images, page - 1, container);
-        
-        // Page info
-        const pageInfo = document.createElement("span");
-        pageInfo.textContent = `Page ${page} of ${totalPages} (${images.length} images)`;
-        pageInfo.style.cssText = "color: #666; font-size: 14px;";
-        
-        // Next button
-        const nextBtn = document.createElement("button");
-        nextBtn.className = "bp3-button bp3-minimal";
-        nextBtn.textContent = "Next";
-        nextBtn.disabled = page === totalPages;
-        nextBtn.onclick = () => createImageGrid(images, page + 1, container);
+    return { element };
+}
+
+// Keyboard shortcuts
+// Gallery shortcuts are written like "o", "Shift+O" or "Ctrl+]" and can be changed in the
+// settings panel. They apply while the popup has focus and no lightbox or dialog is open.
+const SHORTCUTS_ID = "imager-shortcuts";
+
+const GALLERY_SHORTCUTS = [
+    { action: 'focusLeft', name: 'Move focus left', key: 'ArrowLeft' },
+    { action: 'focusRight', name: 'Move focus right', key: 'ArrowRight' },
+    { action: 'focusUp', name: 'Move focus up', key: 'ArrowUp' },
+    { action: 'focusDown', name: 'Move focus down', key: 'ArrowDown' },
+    { action: 'open', name: 'Open the focused image in the lightbox', key: 'Enter' },
+    { action: 'openBlock', name: 'Go to the source block', key: 'o' },
+    { action: 'openBlockInSidebar', name: 'Open the source block in the sidebar', key: 'Shift+O' },
+    { action: 'focusSearch', name: 'Focus the search box', key: '/' },
+    { action: 'previousPage', name: 'Previous page', key: '[' },
+    { action: 'nextPage', name: 'Next page', key: ']' },
+    { action: 'showShortcuts', name: 'Show keyboard shortcuts', key: '?' }
+];
+
+// Built-in shortcuts, listed in the cheat-sheet next to the configurable ones
+const FIXED_SHORTCUTS = {
+    Gallery: [
+        { name: 'Clear the selection, or close the gallery', key: 'Escape' },
+        { name: 'Select all images in the current result', key: 'Ctrl+A' }
+    ],
+    Lightbox: [
+        { name: 'Close the lightbox', key: 'Escape' },
+        { name: 'Previous / next image', key: 'ArrowLeft / ArrowRight' },
+        { name: 'Play / pause the slideshow', key: 'Space' },
+        { name: 'Zoom in / out', key: '+ / -' },
+        { name: 'Actual pixels / fit to screen', key: '1 / 0' },
+        { name: 'Rotate right / left', key: 'R / Shift+R' },
+        { name: 'Show / hide the info panel', key: 'I' }
+    ]
+};
+
+// The key bound to a gallery action, falling back to its default
+function getShortcutKey(action) {
+    return KEY_BINDINGS[action] || GALLERY_SHORTCUTS.find(shortcut => shortcut.action === action).key;
+}
+
+// Split "Ctrl+Shift+K" into its key and modifiers. Ctrl and Cmd both stand for either
+// modifier, as with Cmd/Ctrl+A.
+function parseShortcut(shortcut) {
+    const parts = shortcut.trim().split(/\s*\+\s*(?=.)/);
+    const key = parts.pop();
+    const modifiers = parts.map(part => part.toLowerCase());
+    return {
+        key,
+        mod: modifiers.some(part => ['ctrl', 'control', 'cmd', 'meta'].includes(part)),
+        alt: modifiers.some(part => ['alt', 'option'].includes(part)),
+        shift: modifiers.includes('shift')
+    };
+}
+
+function matchesShortcut(e, shortcut) {
+    const { key, mod, alt, shift } = parseShortcut(shortcut);
+    if (!key || (e.ctrlKey || e.metaKey) !== mod || e.altKey !== alt) return false;
+    // Letters and named keys must match Shift exactly; symbols such as "?" already imply it
+    if (key.length > 1 || /[a-z]/i.test(key)) {
+        return e.shiftKey === shift && e.key.toLowerCase() === key.toLowerCase();
+    }
+    return e.key === key;
+}
+
+// The card to move keyboard focus to from `current`, going by where the cards are on screen.
+// Cards straight ahead win over closer ones off to the side.
+function findCardInDirection(cards, current, direction) {
+    const from = current.getBoundingClientRect();
+    const fromX = from.left + from.width / 2;
+    const fromY = from.top + from.height / 2;
+    let best = null;
+    let bestScore = Infinity;
+    
+    cards.forEach(card => {
+        if (card === current) return;
+        const rect = card.getBoundingClientRect();
+        const dx = rect.left + rect.width / 2 - fromX;
+        const dy = rect.top + rect.height / 2 - fromY;
+        const [along, across] = {
+            left: [-dx, dy],
+            right: [dx, dy],
+            up: [-dy, dx],
+            down: [dy, dx]
+        }[direction];
+        if (along <= 1) return;
         
-        pagination.appendChild(prevBtn);
-        pagination.appendChild(pageInfo);
-        pagination.appendChild(nextBtn);
+        const score = along + Math.abs(across) * 2;
+        if (score < bestScore) {
+            best = card;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// Show the cheat-sheet of gallery and lightbox shortcuts over the gallery
+function showShortcutSheet() {
+    const existing = document.getElementById(SHORTCUTS_ID);
+    if (existing) existing.remove();
+    
+    const overlay = document.createElement("div");
+    overlay.id = SHORTCUTS_ID;
+    overlay.className = "bp3-overlay bp3-overlay-open";
+    overlay.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 1001;
+    `;
+    overlay.onclick = () => overlay.remove();
+    
+    const dialog = document.createElement("div");
+    dialog.className = "bp3-dialog";
+    dialog.style.cssText = "width: 520px; max-height: 80vh; overflow-y: auto; padding: 16px 20px; margin: 0; font-size: 13px;";
+    
+    const heading = document.createElement("h4");
+    heading.textContent = "Keyboard shortcuts";
+    heading.style.margin = "0 0 8px 0";
+    dialog.appendChild(heading);
+    
+    const groups = {
+        Gallery: [
+            ...GALLERY_SHORTCUTS.map(shortcut => ({ name: shortcut.name, key: getShortcutKey(shortcut.action) })),
+            ...FIXED_SHORTCUTS.Gallery
+        ],
+        Lightbox: FIXED_SHORTCUTS.Lightbox
+    };
+    
+    Object.entries(groups).forEach(([title, shortcuts]) => {
+        const groupTitle = document.createElement("div");
+        groupTitle.textContent = title;
+        groupTitle.style.cssText = "margin: 12px 0 4px 0; font-weight: 600; color: #5c7080;";
+        dialog.appendChild(groupTitle);
         
-        container.appendChild(pagination);
-    }
+        shortcuts.forEach(({ name, key }) => {
+            const row = document.createElement("div");
+            row.style.cssText = "display: flex; justify-content: space-between; gap: 16px; padding: 3px 0; border-bottom: 1px solid #f0f0f0;";
+            
+            const label = document.createElement("span");
+            label.textContent = name;
+            
+            const keys = document.createElement("kbd");
+            keys.textContent = key;
+            keys.style.cssText = "font-family: monospace; background: #f5f8fa; border: 1px solid #d8e1e8; border-radius: 3px; padding: 0 6px; white-space: nowrap;";
+            
+            row.appendChild(label);
+            row.appendChild(keys);
+            dialog.appendChild(row);
+        });
+    });
+    
+    const hint = document.createElement("div");
+    hint.textContent = "Gallery shortcuts can be changed in Settings → Imager. Press Esc or click anywhere to close.";
+    hint.style.cssText = "color: #5c7080; font-size: 12px; margin-top: 12px;";
+    dialog.appendChild(hint);
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
 }
 
-// Create the image gallery popup
-function createPopup() {
+// Create the image gallery popup; a scope is shown next to the title
+function createPopup(store, scope = null) {
     const overlay = document.createElement("div");
     overlay.id = POPUP_ID;
     overlay.className = "bp3-overlay bp3-overlay-open";
@@ -664,11 +5804,7 @@ function createPopup() {
         // Store preference
         localStorage.setItem('imager-images-per-row', IMAGES_PER_ROW);
         // Refresh the grid
-        if (content.dataset.images) {
-            const images = JSON.parse(content.dataset.images);
-            const currentPage = parseInt(content.dataset.currentPage) || 1;
-            createImageGrid(images, currentPage, content);
-        }
+        store.setState({ imagesPerRow: IMAGES_PER_ROW });
     };
     
     rowConfig.appendChild(rowLabel);
@@ -698,15 +5834,120 @@ function createPopup() {
         // Store preference
         localStorage.setItem('imager-images-per-page', IMAGES_PER_PAGE);
         // Refresh the grid
-        if (content.dataset.images) {
-            const images = JSON.parse(content.dataset.images);
-            createImageGrid(images, 1, content); // Reset to page 1
-        }
+        store.setState({ imagesPerPage: IMAGES_PER_PAGE, page: 1 }); // Reset to page 1
     };
     
     pageConfig.appendChild(pageLabel);
     pageConfig.appendChild(pageSelector);
     
+    // Display mode selector (paged or infinite scroll)
+    const modeConfig = document.createElement("div");
+    modeConfig.style.cssText = "display: flex; align-items: center; gap: 8px;";
+    
+    const modeLabel = document.createElement("span");
+    modeLabel.textContent = "Mode:";
+    modeLabel.style.color = "#5c7080";
+    
+    const modeSelector = document.createElement("select");
+    modeSelector.className = "bp3-select";
+    
+    const modeOptions = [
+        { value: 'paged', text: 'Paged' },
+        { value: 'infinite', text: 'Infinite scroll' },
+        { value: 'timeline', text: 'Timeline' },
+        { value: 'pages', text: 'Group by page' }
+    ];
+    
+    modeOptions.forEach(opt => {
+        const option = document.createElement("option");
+        option.value = opt.value;
+        option.textContent = opt.text;
+        if (opt.value === DISPLAY_MODE) option.selected = true;
+        modeSelector.appendChild(option);
+    });
+    
+    modeSelector.onchange = (e) => {
+        DISPLAY_MODE = e.target.value;
+        // Store preference
+        localStorage.setItem('imager-display-mode', DISPLAY_MODE);
+        // Swap the grid
+        store.setState({ displayMode: DISPLAY_MODE, page: 1 });
+    };
+    
+    modeConfig.appendChild(modeLabel);
+    modeConfig.appendChild(modeSelector);
+    
+    // Timeline grouping selector, only shown in timeline mode
+    const granularityConfig = document.createElement("div");
+    granularityConfig.style.cssText = "display: flex; align-items: center; gap: 8px;";
+    
+    const granularityLabel = document.createElement("span");
+    granularityLabel.textContent = "Group by:";
+    granularityLabel.style.color = "#5c7080";
+    
+    const granularitySelector = document.createElement("select");
+    granularitySelector.className = "bp3-select";
+    
+    TIMELINE_GRANULARITIES.forEach(opt => {
+        const option = document.createElement("option");
+        option.value = opt.value;
+        option.textContent = opt.text;
+        if (opt.value === TIMELINE_GRANULARITY) option.selected = true;
+        granularitySelector.appendChild(option);
+    });
+    
+    granularitySelector.onchange = (e) => {
+        TIMELINE_GRANULARITY = e.target.value;
+        // Store preference
+        localStorage.setItem('imager-timeline-granularity', TIMELINE_GRANULARITY);
+        // Regroup the timeline
+        store.setState({ timelineGranularity: TIMELINE_GRANULARITY });
+    };
+    
+    granularityConfig.appendChild(granularityLabel);
+    granularityConfig.appendChild(granularitySelector);
+    
+    const showGranularity = ({ displayMode }) => {
+        granularityConfig.style.display = displayMode === 'timeline' ? "flex" : "none";
+    };
+    showGranularity(store.getState());
+    store.subscribe(['displayMode'], showGranularity);
+    
+    // Layout selector (masonry columns or justified rows)
+    const layoutConfig = document.createElement("div");
+    layoutConfig.style.cssText = "display: flex; align-items: center; gap: 8px;";
+    
+    const layoutLabel = document.createElement("span");
+    layoutLabel.textContent = "Layout:";
+    layoutLabel.style.color = "#5c7080";
+    
+    const layoutSelector = document.createElement("select");
+    layoutSelector.className = "bp3-select";
+    
+    const layoutOptions = [
+        { value: 'masonry', text: 'Masonry' },
+        { value: 'justified', text: 'Justified rows' }
+    ];
+    
+    layoutOptions.forEach(opt => {
+        const option = document.createElement("option");
+        option.value = opt.value;
+        option.textContent = opt.text;
+        if (opt.value === LAYOUT_MODE) option.selected = true;
+        layoutSelector.appendChild(option);
+    });
+    
+    layoutSelector.onchange = (e) => {
+        LAYOUT_MODE = e.target.value;
+        // Store preference
+        localStorage.setItem('imager-layout', LAYOUT_MODE);
+        // Re-layout the grid
+        store.setState({ layout: LAYOUT_MODE });
+    };
+    
+    layoutConfig.appendChild(layoutLabel);
+    layoutConfig.appendChild(layoutSelector);
+    
     // Sort order selector
     const sortConfig = document.createElement("div");
     sortConfig.style.cssText = "display: flex; align-items: center; gap: 8px;";
@@ -719,6 +5960,7 @@ function createPopup() {
     sortSelector.className = "bp3-select";
     
     const sortOptions = [
+        { value: 'relevance', text: 'Relevance' },
         { value: 'newest', text: 'Newest First' },
         { value: 'oldest', text: 'Oldest First' },
         { value: 'page-alpha', text: 'Page Title (A-Z)' },
@@ -729,7 +5971,7 @@ function createPopup() {
         const option = document.createElement("option");
         option.value = opt.value;
         option.textContent = opt.text;
-        if (opt.value === SORT_ORDER) option.selected = true;
+        if (opt.value === store.getState().sortOrder) option.selected = true;
         sortSelector.appendChild(option);
     });
     
@@ -738,13 +5980,7 @@ function createPopup() {
         // Store preference
         localStorage.setItem('imager-sort-order', SORT_ORDER);
         // Re-sort and refresh the grid
-        if (content.dataset.allImages) {
-            const allImages = JSON.parse(content.dataset.allImages);
-            const sortedImages = sortImages(allImages, SORT_ORDER);
-            content.dataset.allImages = JSON.stringify(sortedImages);
-            content.dataset.images = JSON.stringify(sortedImages);
-            createImageGrid(sortedImages, 1, content, sortedImages);
-        }
+        store.setState({ sortOrder: SORT_ORDER, page: 1 });
     };
     
     sortConfig.appendChild(sortLabel);
@@ -752,232 +5988,1146 @@ function createPopup() {
     
     configSection.appendChild(rowConfig);
     configSection.appendChild(pageConfig);
+    configSection.appendChild(modeConfig);
+    configSection.appendChild(granularityConfig);
+    configSection.appendChild(layoutConfig);
     configSection.appendChild(sortConfig);
     
-    leftSection.appendChild(title);
-    leftSection.appendChild(configSection);
+    leftSection.appendChild(title);
+    if (scope) {
+        const scopeTag = document.createElement("span");
+        scopeTag.className = "bp3-tag bp3-minimal bp3-intent-primary";
+        scopeTag.textContent = scope.label;
+        scopeTag.title = `Showing images from ${scope.pageTitles.length} page${scope.pageTitles.length === 1 ? '' : 's'}${scope.includeReferences ? ' and their linked references' : ''}`;
+        scopeTag.style.cssText = "max-width: 240px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+        leftSection.appendChild(scopeTag);
+    }
+    leftSection.appendChild(configSection);
+    
+    const rightSection = document.createElement("div");
+    rightSection.style.cssText = "display: flex; align-items: center; gap: 4px;";
+    
+    // Export every image in the current (filtered) view
+    const exportBtn = document.createElement("button");
+    exportBtn.className = "bp3-button bp3-minimal bp3-icon-export";
+    exportBtn.textContent = "Export";
+    exportBtn.title = "Export the images matching the current search and filters as a ZIP or a report";
+    exportBtn.onclick = () => {
+        const { view, query } = store.getState();
+        const images = [...new Map(view.map(image => [image.url, image])).values()];
+        const reportTitle = ['Roam images', scope && scope.label, query && `"${query}"`].filter(Boolean).join(' · ');
+        openExportDialog(images, { reportTitle });
+    };
+    
+    // Look for duplicates among the images in the current view
+    const duplicatesBtn = document.createElement("button");
+    duplicatesBtn.className = "bp3-button bp3-minimal bp3-icon-duplicate";
+    duplicatesBtn.textContent = "Duplicates";
+    duplicatesBtn.title = "Find images matching the current search and filters that appear more than once";
+    duplicatesBtn.onclick = () => showDuplicateFinder(store.getState().view);
+    
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "bp3-button bp3-minimal bp3-icon-cross";
+    closeBtn.onclick = closeImageGallery;
+    
+    rightSection.appendChild(duplicatesBtn);
+    rightSection.appendChild(exportBtn);
+    rightSection.appendChild(closeBtn);
+    
+    header.appendChild(leftSection);
+    header.appendChild(rightSection);
+    
+    // Second row - Search bar
+    const searchRow = document.createElement("div");
+    searchRow.style.cssText = `
+        padding: 8px 24px 16px 24px;
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+    `;
+    
+    const searchInput = document.createElement("input");
+    searchInput.className = "bp3-input bp3-large";
+    searchInput.type = "text";
+    searchInput.placeholder = "Loading images... Search will be available soon";
+    searchInput.style.cssText = "width: 100%; opacity: 0.6;";
+    searchInput.disabled = true; // Start disabled
+    searchInput.id = "imager-search-input";
+    searchInput.value = store.getState().query; // A gallery can open with a search, see showImageGallery
+    
+    searchInput.oninput = (e) => {
+        store.setState({ query: e.target.value, page: 1 });
+    };
+    
+    // Toggle for the facet panel, showing how many facets are active
+    const facetsButton = document.createElement("button");
+    facetsButton.className = "bp3-button bp3-large bp3-icon-filter";
+    facetsButton.title = "Filter by page, tag, date and domain";
+    facetsButton.onclick = () => {
+        SHOW_FACETS = !store.getState().facetsOpen;
+        localStorage.setItem('imager-show-facets', SHOW_FACETS);
+        store.setState({ facetsOpen: SHOW_FACETS });
+    };
+    
+    const renderFacetsButton = ({ facets, facetsOpen }) => {
+        const activeCount = FACET_GROUPS.reduce((sum, { key }) => sum + facets[key].length, 0) + (facets.dates ? 1 : 0);
+        facetsButton.textContent = activeCount > 0 ? `Filters (${activeCount})` : "Filters";
+        facetsButton.classList.toggle("bp3-active", facetsOpen);
+        facetsButton.classList.toggle("bp3-intent-primary", activeCount > 0);
+    };
+    renderFacetsButton(store.getState());
+    store.subscribe(['facets', 'facetsOpen'], renderFacetsButton);
+    
+    const searchBar = document.createElement("div");
+    searchBar.style.cssText = "display: flex; gap: 8px;";
+    searchBar.appendChild(facetsButton);
+    searchBar.appendChild(searchInput);
+    
+    // Search stays disabled until the first images are available
+    store.subscribe(['searchEnabled'], ({ searchEnabled }) => {
+        searchInput.disabled = !searchEnabled;
+        searchInput.placeholder = searchEnabled
+            ? 'Search images... e.g. page:"Project X" tag:design after:2024-01-01 -ext:gif'
+            : "Loading images... Search will be available soon";
+        searchInput.style.opacity = searchEnabled ? "1" : "0.6";
+    });
+    
+    // Inline query errors; the valid part of the query still applies
+    const searchError = document.createElement("div");
+    searchError.style.cssText = "color: #c23030; font-size: 12px; display: none;";
+    
+    store.subscribe(['parsedQuery'], ({ query, parsedQuery }) => {
+        const error = parsedQuery.errors[0];
+        searchInput.classList.toggle("bp3-intent-danger", Boolean(error));
+        searchError.style.display = error ? "block" : "none";
+        searchError.textContent = error
+            ? `${error.message} at "${query.slice(error.start, error.end)}"`
+            : "";
+    });
+    
+    // Images hidden by the allow and deny lists, with a link to reveal them for this gallery
+    const filterNotice = document.createElement("div");
+    filterNotice.style.cssText = "color: #5c7080; font-size: 12px; display: none;";
+    
+    const renderFilterNotice = ({ filteredCount, showFiltered }) => {
+        filterNotice.style.display = filteredCount > 0 ? "block" : "none";
+        filterNotice.innerHTML = "";
+        if (filteredCount === 0) return;
+        
+        filterNotice.appendChild(document.createTextNode(showFiltered
+            ? `Showing ${filteredCount} images hidden by filter. `
+            : `${filteredCount} images hidden by filter (see the Imager settings). `));
+        const toggle = document.createElement("a");
+        toggle.textContent = showFiltered ? "Hide them" : "Show them";
+        toggle.onclick = (e) => {
+            e.preventDefault();
+            store.setState({ showFiltered: !showFiltered, page: 1 });
+        };
+        filterNotice.appendChild(toggle);
+    };
+    renderFilterNotice(store.getState());
+    store.subscribe(['filteredCount', 'showFiltered'], renderFilterNotice);
+    
+    searchRow.appendChild(searchBar);
+    searchRow.appendChild(searchError);
+    searchRow.appendChild(filterNotice);
+    
+    // Assemble the header container
+    headerContainer.appendChild(header);
+    headerContainer.appendChild(searchRow);
+    headerContainer.appendChild(createSelectionBar(store).element);
+    
+    // Body: facet panel next to the scrolling content area
+    const body = document.createElement("div");
+    body.style.cssText = "flex: 1; display: flex; min-height: 0;";
+    
+    const facetPanel = createFacetPanel(store);
+    
+    const content = document.createElement("div");
+    content.className = "bp3-dialog-body";
+    content.style.cssText = `
+        flex: 1;
+        overflow-y: auto;
+        padding: 0;
+    `;
+    
+    // Loading indicator
+    const loading = document.createElement("div");
+    loading.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        height: 200px;
+        color: #666;
+        gap: 10px;
+    `;
+    loading.innerHTML = `
+        <div>Loading images...</div>
+        <div style="font-size: 12px; opacity: 0.7;">Fetching image blocks and their context</div>
+    `;
+    content.appendChild(loading);
+    
+    body.appendChild(facetPanel.element);
+    body.appendChild(content);
+    
+    popup.appendChild(headerContainer);
+    popup.appendChild(body);
+    overlay.appendChild(popup);
+    
+    // Close on overlay click
+    overlay.onclick = (e) => {
+        if (e.target === overlay) {
+            closeImageGallery();
+        }
+    };
+    
+    // Close on Escape key; with a selection, Escape clears it first.
+    // Cmd/Ctrl+A selects the whole current view.
+    // The handler goes away with this popup, however it was closed.
+    document.addEventListener("keydown", function escHandler(e) {
+        if (!overlay.isConnected) {
+            document.removeEventListener("keydown", escHandler);
+            return;
+        }
+        
+        const { selection, selectable, view } = store.getState();
+        if (e.key === "Escape" && selection.size > 0) {
+            store.setState({ selection: new Set(), selectionAnchor: null });
+            return;
+        }
+        if (e.key === "Escape") {
+            closeImageGallery();
+            document.removeEventListener("keydown", escHandler);
+            return;
+        }
+        if (e.key === "a" && (e.metaKey || e.ctrlKey) && selectable &&
+            !["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) {
+            e.preventDefault();
+            store.setState({ selection: new Set(view.map(getImageKey)) });
+        }
+    });
+    
+    // The focused thumbnail card and its image
+    const getFocusedCard = () => {
+        const card = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest("[data-imager-key]")
+            : null;
+        return card && content.contains(card) ? card : null;
+    };
+    const getFocusedImage = () => {
+        const card = getFocusedCard();
+        return card ? store.getState().view.find(image => getImageKey(image) === card.dataset.imagerKey) : null;
+    };
+    
+    const moveFocus = (direction) => {
+        const cards = [...content.querySelectorAll("[data-imager-key]")];
+        const current = getFocusedCard();
+        const next = current ? findCardInDirection(cards, current, direction) : cards[0];
+        if (!next) return false;
+        next.focus();
+        return true;
+    };
+    
+    const openFocusedBlock = (inSidebar) => {
+        const image = getFocusedImage();
+        if (!image) return false;
+        openBlockInRoam(image.uid, inSidebar);
+        return true;
+    };
+    
+    const changePage = (delta) => {
+        const state = store.getState();
+        const page = state.page + delta;
+        if (state.displayMode !== 'paged' || page < 1 || page > getTotalPages(state)) return false;
+        store.setState({ page });
+        return true;
+    };
+    
+    // Each action returns whether it handled the key
+    const shortcutActions = {
+        focusLeft: () => moveFocus('left'),
+        focusRight: () => moveFocus('right'),
+        focusUp: () => moveFocus('up'),
+        focusDown: () => moveFocus('down'),
+        open: () => {
+            const card = getFocusedCard();
+            if (card) card.click();
+            return !!card;
+        },
+        openBlock: () => openFocusedBlock(false),
+        openBlockInSidebar: () => openFocusedBlock(true),
+        focusSearch: () => {
+            if (searchInput.disabled) return false;
+            searchInput.focus();
+            searchInput.select();
+            return true;
+        },
+        previousPage: () => changePage(-1),
+        nextPage: () => changePage(1),
+        showShortcuts: () => {
+            showShortcutSheet();
+            return true;
+        }
+    };
+    
+    // Gallery shortcuts. Handled in the capture phase, like the lightbox's, so that Roam's own
+    // hotkeys do not also fire while the popup is open. Keys typed into inputs, and keys meant
+    // for the lightbox or a dialog over the popup, are left alone.
+    const shortcutHandler = (e) => {
+        if (!overlay.isConnected) {
+            window.removeEventListener("keydown", shortcutHandler, true);
+            return;
+        }
+        
+        const sheet = document.getElementById(SHORTCUTS_ID);
+        if (sheet) {
+            if (e.key === "Escape" || matchesShortcut(e, getShortcutKey('showShortcuts'))) {
+                sheet.remove();
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            return;
+        }
+        
+        if (document.getElementById(LIGHTBOX_ID)) return;
+        if (e.target !== document.body && !overlay.contains(e.target)) return;
+        if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName) || e.target.isContentEditable) return;
+        
+        const shortcut = GALLERY_SHORTCUTS.find(({ action }) => matchesShortcut(e, getShortcutKey(action)));
+        if (!shortcut || !shortcutActions[shortcut.action]()) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+    };
+    window.addEventListener("keydown", shortcutHandler, true);
+    
+    return { overlay, content };
+}
+
+// Create topbar button
+function createTopbarButton() {
+    const button = document.createElement("button");
+    button.id = "imager-button";
+    button.className = "bp3-button bp3-minimal bp3-icon-media";
+    button.title = "Image Gallery";
+    button.style.cssText = "margin: 0 4px;";
+    
+    button.onclick = async () => {
+        showImageGallery();
+    };
+    
+    return button;
+}
+
+// Gallery scopes
+// A scope limits the gallery to the blocks of some pages: { label, pageTitles, includeReferences }.
+// `label` is shown in the popup header.
+
+// Title of the page a page or block uid belongs to
+async function getPageTitleForUid(uid) {
+    const result = await window.roamAlphaAPI.pull(
+        "[:node/title {:block/page [:node/title]}]",
+        [":block/uid", uid]
+    );
+    if (!result) return null;
+    return result[":node/title"] || (result[":block/page"] && result[":block/page"][":node/title"]) || null;
+}
+
+// Title of the page open in the main window; a zoomed-in block counts as its page and the
+// daily notes log as today's page
+async function getCurrentPageTitle() {
+    const uid = await window.roamAlphaAPI.ui.mainWindow.getOpenPageOrBlockUid();
+    if (uid) return getPageTitleForUid(uid);
+    return window.roamAlphaAPI.util.dateToPageTitle(new Date());
+}
+
+async function resolvePageScope(includeReferences) {
+    const pageTitle = await getCurrentPageTitle();
+    if (!pageTitle) return null;
+    return {
+        label: includeReferences ? `${pageTitle} + linked references` : pageTitle,
+        pageTitles: [pageTitle],
+        includeReferences
+    };
+}
+
+// A namespace covers the page itself and every page titled `namespace/...`
+async function resolveNamespaceScope(namespace) {
+    const prefix = `${namespace.replace(/\/+$/, '')}/`;
+    const pageTitles = await window.roamAlphaAPI.q(`
+        [:find [?title ...]
+         :where
+         [?page :node/title ?title]
+         [(clojure.string/starts-with? ?title ${JSON.stringify(prefix)})]]
+    `);
+    return {
+        label: `Namespace: ${prefix}`,
+        pageTitles: [prefix.slice(0, -1), ...(pageTitles || [])],
+        includeReferences: false
+    };
+}
+
+// Pages open in the right sidebar, including the pages of sidebar blocks and mentions
+async function resolveSidebarScope() {
+    const windows = window.roamAlphaAPI.ui.rightSidebar.getWindows() || [];
+    const uids = windows
+        .map(win => win["page-uid"] || win["block-uid"] || win["mentions-uid"])
+        .filter(Boolean);
+    const titles = await Promise.all(uids.map(getPageTitleForUid));
+    const pageTitles = [...new Set(titles.filter(Boolean))];
+    return {
+        label: `Sidebar pages (${pageTitles.length})`,
+        pageTitles,
+        includeReferences: false
+    };
+}
+
+// Ask for a line of text in a small dialog; resolves to the text, or null when cancelled
+function promptForText({ title, placeholder = '', defaultValue = '' }) {
+    return new Promise(resolve => {
+        const overlay = document.createElement("div");
+        overlay.className = "bp3-overlay bp3-overlay-open";
+        overlay.style.cssText = `
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0, 0, 0, 0.5);
+            z-index: 1000;
+        `;
+        
+        const dialog = document.createElement("div");
+        dialog.className = "bp3-dialog";
+        dialog.style.cssText = "width: 400px; padding: 16px 20px; margin: 0;";
+        
+        const heading = document.createElement("h4");
+        heading.textContent = title;
+        heading.style.margin = "0 0 12px 0";
+        
+        const input = document.createElement("input");
+        input.className = "bp3-input bp3-fill";
+        input.type = "text";
+        input.placeholder = placeholder;
+        input.value = defaultValue;
+        
+        const close = (value) => {
+            overlay.remove();
+            resolve(value);
+        };
+        
+        input.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === "Enter" && input.value.trim()) {
+                close(input.value.trim());
+            } else if (e.key === "Escape") {
+                close(null);
+            }
+        };
+        overlay.onclick = (e) => {
+            if (e.target === overlay) close(null);
+        };
+        
+        dialog.appendChild(heading);
+        dialog.appendChild(input);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        input.focus();
+        input.select();
+    });
+}
+
+async function showPageGallery() {
+    const scope = await resolvePageScope(false);
+    if (scope) showImageGallery(scope);
+}
+
+async function showLinkedReferencesGallery() {
+    const scope = await resolvePageScope(true);
+    if (scope) showImageGallery(scope);
+}
+
+// Suggest the namespace of the current page
+async function showNamespaceGallery() {
+    const pageTitle = await getCurrentPageTitle();
+    const namespace = await promptForText({
+        title: "Images in namespace",
+        placeholder: "e.g. Projects/Website",
+        defaultValue: pageTitle && pageTitle.includes('/') ? pageTitle.slice(0, pageTitle.lastIndexOf('/')) : (pageTitle || '')
+    });
+    if (namespace) showImageGallery(await resolveNamespaceScope(namespace));
+}
+
+async function showSidebarGallery() {
+    showImageGallery(await resolveSidebarScope());
+}
+
+const GALLERY_COMMANDS = [
+    { label: "Open Image Gallery", callback: () => showImageGallery() },
+    { label: "Image Gallery: Images on this page", callback: showPageGallery },
+    { label: "Image Gallery: Images in this page and its linked references", callback: showLinkedReferencesGallery },
+    { label: "Image Gallery: Images in namespace…", callback: showNamespaceGallery },
+    { label: "Image Gallery: Images in the sidebar pages", callback: showSidebarGallery },
+    { label: "Image Gallery: Check image health", callback: showImageHealthCheck },
+    { label: "Image Gallery: Find duplicate images", callback: () => showDuplicateFinder() }
+];
+
+// Reconcile the cached image index with the graph, or with a scope of it (see "Gallery scopes").
+// Cached images are reported first, then changed blocks are re-processed in batches and their
+// context is loaded. Callbacks:
+// - onImages(images, { cached }) whenever the image list changes
+// - onProgress({ hasCache, processed, changed, total, loaded }) while changed blocks are processed
+// - onScanned(images, blocks, scannedAt) once every block has been processed, before context is
+//   loaded; `blocks` are the [uid, createTime, editTime] rows of the scanned blocks and
+//   `scannedAt` the time the scan started
+// Resolves with the final image list. If the graph cannot be scanned, the cache is left
+// untouched, onScanned is not called and the sync resolves with the cached images.
+async function syncImageIndex(scope = null, { onImages = () => {}, onProgress = () => {}, onScanned = () => {} } = {}) {
+    // Open instantly from the cached index, then reconcile with the graph in the background.
+    // A scoped sync only knows which cached blocks to report once the scope has been queried.
+    // Recorded health results feed the gallery's Health filter
+    const [index] = await Promise.all([loadImageIndex(), imageHealth.load()]);
+    const cachedBlocks = index.blocks;
+    let allImages = scope ? [] : [...cachedBlocks.values()].flatMap(block => block.images);
+    let hasCache = !scope && cachedBlocks.size > 0;
+    
+    if (hasCache) {
+        onImages(allImages, { cached: true });
+    }
+    
+    // Get just the UIDs first (very fast)
+    const scanStartedAt = Date.now();
+    const imageUids = await getImageBlockUids(scope);
+    
+    // Without a scan nothing can be reconciled; keep the cache as it is and show what it has
+    if (!imageUids) return allImages;
+    
+    if (scope) {
+        const scopedBlocks = imageUids.map(([uid]) => cachedBlocks.get(uid)).filter(Boolean);
+        allImages = scopedBlocks.flatMap(block => block.images);
+        hasCache = scopedBlocks.length > 0;
+        if (hasCache) {
+            onImages(allImages, { cached: true });
+        }
+    }
+    
+    // Blocks that no longer contain image markers (or were deleted) drop out of the index.
+    // A scoped scan only sees part of the graph, so it neither deletes nor records the scan.
+    const currentUids = new Set(imageUids.map(([uid]) => uid));
+    const deletedUids = scope ? [] : [...cachedBlocks.keys()].filter(uid => !currentUids.has(uid));
+    const scanRecord = scope ? {} : { deletes: deletedUids, lastScan: scanStartedAt };
+    
+    // Only blocks edited since the last scan, or never seen before, need extracting
+    const changedUids = imageUids.filter(([uid, , editTime]) =>
+        !cachedBlocks.has(uid) || editTime > index.lastScan
+    );
+    
+    if (deletedUids.length > 0) {
+        const deleted = new Set(deletedUids);
+        allImages = allImages.filter(image => !deleted.has(image.uid));
+        deletedUids.forEach(uid => cachedBlocks.delete(uid));
+        onImages(allImages, { cached: true });
+    }
+    
+    // Process changed blocks in batches; the small first batch is shown immediately on a
+    // cold start, the rest go through in large batches to keep the number of queries low
+    const firstBatchSize = 50;
+    const batchSize = 1000;
+    
+    let processed = 0;
+    
+    while (processed < changedUids.length) {
+        const size = processed === 0 ? firstBatchSize : batchSize;
+        const batch = changedUids.slice(processed, processed + size);
+        processed += batch.length;
+        const newImages = await processImageBatch(batch);
+        const entries = toIndexEntries(batch, newImages);
+        
+        // Replace any previously cached images of these blocks
+        const batchUids = new Set(batch.map(([uid]) => uid));
+        allImages = allImages.filter(image => !batchUids.has(image.uid));
+        allImages.push(...newImages);
+        entries.forEach(entry => cachedBlocks.set(entry.uid, entry));
+        
+        onProgress({
+            hasCache,
+            processed,
+            changed: changedUids.length,
+            total: imageUids.length,
+            loaded: allImages.length
+        });
+        onImages(allImages, { cached: false });
+        
+        await saveImageIndex({ upserts: entries });
+        
+        // Small delay to prevent UI blocking
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    
+    // Blocks that did not change themselves may still have neighbours that did; their context
+    // is loaded again below. Marked and stored before the scan is recorded, so an interrupted
+    // load is picked up next time.
+    if (index.lastScan > 0) {
+        const changed = new Set(changedUids.map(([uid]) => uid));
+        const unchangedUids = imageUids.map(([uid]) => uid).filter(uid => !changed.has(uid) && cachedBlocks.has(uid));
+        const staleUids = await getStaleContextUids(unchangedUids, index.lastScan);
+        const staleEntries = staleUids.map(uid => cachedBlocks.get(uid));
+        staleEntries.forEach(entry => entry.images.forEach(image => {
+            image.contextLoaded = false;
+        }));
+        if (staleEntries.length > 0) await saveImageIndex({ upserts: staleEntries });
+    }
     
-    const closeBtn = document.createElement("button");
-    closeBtn.className = "bp3-button bp3-minimal bp3-icon-cross";
-    closeBtn.onclick = () => overlay.remove();
+    // Record the scan only once every changed block has been stored
+    await saveImageIndex(scanRecord);
+    onScanned(allImages, imageUids, scanStartedAt);
     
-    header.appendChild(leftSection);
-    header.appendChild(closeBtn);
+    // Now enhance with context in background (optional, lower priority)
+    const imagesWithoutContext = allImages.filter(image => !image.contextLoaded);
+    if (imagesWithoutContext.length > 0) {
+        await enhanceImagesWithContext(imagesWithoutContext);
+        
+        // Context widens what search matches, so report a new list
+        allImages = [...allImages];
+        onImages(allImages, { cached: false });
+        
+        // Persist the loaded context so it does not need fetching again
+        const enhancedUids = new Set(imagesWithoutContext.map(image => image.uid));
+        await saveImageIndex({
+            upserts: [...enhancedUids].map(uid => cachedBlocks.get(uid)).filter(Boolean)
+        });
+    }
     
-    // Second row - Search bar
-    const searchRow = document.createElement("div");
-    searchRow.style.cssText = `
-        padding: 8px 24px 16px 24px;
-        display: flex;
-        align-items: center;
-    `;
+    return allImages;
+}
+
+// Live updates
+// While a gallery is shown it follows the graph: pull watches on the blocks shown report edits
+// and deletions right away, and a periodic check catches images added or removed anywhere. A
+// check only reads the blocks edited since the previous one, plus whether the known image
+// blocks still exist, so it does not scan the graph again. Changed blocks are re-extracted and
+// patched into the image list and the index; records of other blocks (and so their cards) stay
+// as they are.
+const LIVE_POLL_INTERVAL = 10000; // ms between checks for changed image blocks
+const LIVE_WATCH_DELAY = 500; // ms to wait after a watched block changes, so typing is batched
+const LIVE_EDIT_OVERLAP = 60000; // ms of edits before the last check that are read again, for edits synced late
+
+let stopLiveUpdates = null; // Stops the open gallery's live updates
+
+// Pull watches on a changing set of blocks; `onChange(uid)` is called when one of them changes
+// or is deleted. `watch(uids)` replaces the watched set and `stop()` removes every watch.
+function createBlockWatcher(onChange) {
+    const watched = new Map(); // uid -> [pattern, entityId, callback]
     
-    const searchInput = document.createElement("input");
-    searchInput.className = "bp3-input bp3-large";
-    searchInput.type = "text";
-    searchInput.placeholder = "Loading images... Search will be available soon";
-    searchInput.style.cssText = "width: 100%; opacity: 0.6;";
-    searchInput.disabled = true; // Start disabled
-    searchInput.id = "imager-search-input";
+    return {
+        watch(uids) {
+            const wanted = new Set(uids);
+            watched.forEach((args, uid) => {
+                if (!wanted.has(uid)) {
+                    window.roamAlphaAPI.data.removePullWatch(...args);
+                    watched.delete(uid);
+                }
+            });
+            wanted.forEach(uid => {
+                if (watched.has(uid)) return;
+                const args = ["[:block/string]", `[:block/uid "${uid}"]`, () => onChange(uid)];
+                window.roamAlphaAPI.data.addPullWatch(...args);
+                watched.set(uid, args);
+            });
+        },
+        stop() {
+            watched.forEach(args => window.roamAlphaAPI.data.removePullWatch(...args));
+            watched.clear();
+        }
+    };
+}
+
+// Report the block uids of the cards rendered in `container` to `onUids(uids)`, following the
+// grid as it pages, scrolls or regroups. Works the same for every display mode, since only the
+// mounted cards count. Returns a function that stops following.
+function watchRenderedBlocks(container, onUids) {
+    const update = createFrameScheduler(() => {
+        const cards = container.querySelectorAll("[data-imager-key]");
+        // Card keys start with the block uid, see getImageKey
+        onUids(new Set([...cards].map(card => card.dataset.imagerKey.split(' ')[0])));
+    });
+    const observer = new MutationObserver(update);
+    observer.observe(container, { childList: true, subtree: true });
+    update();
     
-    searchInput.oninput = (e) => {
-        const searchTerm = e.target.value.toLowerCase();
-        if (content.dataset.allImages) {
-            const allImages = JSON.parse(content.dataset.allImages);
-            let filteredImages = searchTerm 
-                ? allImages.filter(img => img.searchableContent.includes(searchTerm))
-                : allImages;
+    return () => {
+        observer.disconnect();
+        update.cancel();
+    };
+}
+
+// Keep the images of `scope` in sync with the graph, starting from the scanned `blocks`
+// ([uid, createTime, editTime] rows, see syncImageIndex) and the time `since` the scan started.
+// `getImages()` returns the current image list; patched lists are passed to `onImages`.
+// Returns { watch, stop }: `watch(container)` watches the blocks of the cards rendered in a
+// container until the function it returns is called, and `stop()` stops following.
+function followGraphChanges(scope, blocks, since, { getImages, onImages }) {
+    const known = new Map(blocks.map(([uid, , editTime]) => [uid, editTime || 0]));
+    let lastCheck = since;
+    let timer = null;
+    let checking = false;
+    let stopped = false;
+    
+    // Re-extract blocks that are new or edited since they were last seen, drop vanished ones
+    const check = async () => {
+        const checkStartedAt = Date.now();
+        const edited = await getEditedBlocks(lastCheck - LIVE_EDIT_OVERLAP, scope);
+        const existing = await getExistingBlockUids([...known.keys()], scope);
+        if (!edited || !existing) return; // The graph could not be read; try again on the next check
+        
+        // Edited blocks that lost their image markup drop out like deleted ones
+        const imageBlocks = edited.filter(([, , , string]) => IMAGE_MARKER_REGEX.test(string));
+        const editedUids = new Set(edited.map(([uid]) => uid));
+        const imageUids = new Set(imageBlocks.map(([uid]) => uid));
+        const changed = imageBlocks
+            .filter(([uid, , editTime]) => !known.has(uid) || editTime > known.get(uid))
+            .map(([uid, createTime, editTime]) => [uid, createTime, editTime]);
+        const removed = [...known.keys()].filter(uid =>
+            !existing.has(uid) || (editedUids.has(uid) && !imageUids.has(uid))
+        );
+        
+        if (changed.length > 0 || removed.length > 0) {
+            const newImages = changed.length > 0 ? await processImageBatch(changed) : [];
+            await enhanceImagesWithContext(newImages);
+            if (stopped) return;
             
-            // Apply current sort order to filtered results
-            filteredImages = sortImages(filteredImages, SORT_ORDER);
+            const affected = new Set([...changed.map(([uid]) => uid), ...removed]);
+            onImages([...getImages().filter(image => !affected.has(image.uid)), ...newImages]);
             
-            // Update displayed images
-            content.dataset.images = JSON.stringify(filteredImages);
-            createImageGrid(filteredImages, 1, content);
+            // A block leaving a scope may still exist, so only graph-wide galleries delete
+            await saveImageIndex({ upserts: toIndexEntries(changed, newImages), deletes: scope ? [] : removed });
         }
+        
+        // Only now count the changes as seen, so a failed check retries them
+        changed.forEach(([uid, , editTime]) => known.set(uid, editTime || 0));
+        removed.forEach(uid => known.delete(uid));
+        lastCheck = checkStartedAt;
     };
     
-    searchRow.appendChild(searchInput);
-    
-    // Assemble the header container
-    headerContainer.appendChild(header);
-    headerContainer.appendChild(searchRow);
-    
-    // Content area
-    const content = document.createElement("div");
-    content.className = "bp3-dialog-body";
-    content.style.cssText = `
-        flex: 1;
-        overflow-y: auto;
-        padding: 0;
-    `;
-    
-    // Loading indicator
-    const loading = document.createElement("div");
-    loading.style.cssText = `
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        height: 200px;
-        color: #666;
-        gap: 10px;
-    `;
-    loading.innerHTML = `
-        <div>Loading images...</div>
-        <div style="font-size: 12px; opacity: 0.7;">Fetching image blocks and their context</div>
-    `;
-    content.appendChild(loading);
-    
-    popup.appendChild(headerContainer);
-    popup.appendChild(content);
-    overlay.appendChild(popup);
+    const schedule = (delay) => {
+        clearTimeout(timer);
+        timer = setTimeout(run, delay);
+    };
     
-    // Close on overlay click
-    overlay.onclick = (e) => {
-        if (e.target === overlay) {
-            overlay.remove();
+    const run = async () => {
+        timer = null;
+        if (checking) {
+            schedule(LIVE_WATCH_DELAY);
+            return;
+        }
+        
+        checking = true;
+        try {
+            await check();
+        } catch (error) {
+            console.error("Error updating the gallery:", error);
         }
+        checking = false;
+        if (!stopped && !timer) schedule(LIVE_POLL_INTERVAL);
     };
     
-    // Close on Escape key
-    document.addEventListener("keydown", function escHandler(e) {
-        if (e.key === "Escape" && document.getElementById(POPUP_ID)) {
-            overlay.remove();
-            document.removeEventListener("keydown", escHandler);
-        }
-    });
+    // Watch the rendered blocks of every container at once
+    const watcher = createBlockWatcher(() => schedule(LIVE_WATCH_DELAY));
+    const views = new Map(); // container -> uids of its rendered cards
+    const updateWatches = () => {
+        if (!stopped) watcher.watch([...views.values()].flatMap(uids => [...uids]));
+    };
+    const unwatchers = new Set();
+    schedule(LIVE_POLL_INTERVAL);
     
-    return { overlay, content };
+    return {
+        watch(container) {
+            const unwatchView = watchRenderedBlocks(container, uids => {
+                views.set(container, uids);
+                updateWatches();
+            });
+            const unwatch = () => {
+                unwatchView();
+                views.delete(container);
+                unwatchers.delete(unwatch);
+                updateWatches();
+            };
+            unwatchers.add(unwatch);
+            return unwatch;
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            [...unwatchers].forEach(unwatch => unwatch());
+            watcher.stop();
+        }
+    };
 }
 
-// Create topbar button
-function createTopbarButton() {
-    const button = document.createElement("button");
-    button.id = "imager-button";
-    button.className = "bp3-button bp3-minimal bp3-icon-media";
-    button.title = "Image Gallery";
-    button.style.cssText = "margin: 0 4px;";
+// Close the gallery popup and stop following the graph
+function closeImageGallery() {
+    if (stopLiveUpdates) stopLiveUpdates();
+    stopLiveUpdates = null;
     
-    button.onclick = async () => {
-        showImageGallery();
-    };
+    const popup = document.getElementById(POPUP_ID);
+    if (popup) popup.remove();
     
-    return button;
+    const shortcuts = document.getElementById(SHORTCUTS_ID);
+    if (shortcuts) shortcuts.remove();
+    closeImageMenu();
 }
 
-// Show image gallery
-async function showImageGallery() {
+// Show image gallery, optionally limited to a scope (see "Gallery scopes").
+// `initialState` overrides the store's defaults, e.g. to open with facets selected.
+async function showImageGallery(scope = null, initialState = {}) {
     if (document.getElementById(POPUP_ID)) return;
     
-    const { overlay, content } = createPopup();
+    const store = createGalleryStore({ selectable: true, ...initialState });
+    const { overlay, content } = createPopup(store, scope);
     document.body.appendChild(overlay);
+    followImageHealth(store, () => overlay.isConnected);
     
-    // Get just the UIDs first (very fast)
-    const imageUids = await getImageBlockUids();
+    // The grid replaces the loading indicator once there is something to show
+    let gridMounted = false;
+    const showImages = (images, { cached }) => {
+        store.setState({ images });
+        if (!gridMounted && images.length > 0) {
+            mountGalleryGrid(content, store);
+            gridMounted = true;
+        }
+        // Cached images are complete, so they can be searched right away
+        if (cached && images.length > 0) {
+            store.setState({ searchEnabled: true });
+        }
+    };
     
-    if (imageUids.length === 0) {
+    const showEmptyState = () => {
         content.innerHTML = `
             <div style="display: flex; align-items: center; justify-content: center; height: 200px; color: #666;">
-                No images found in your graph
+                ${scope ? 'No images found in this scope' : 'No images found in your graph'}
             </div>
         `;
+    };
+    
+    // Loading indicator while changed blocks are being processed
+    let loadingInfo = null;
+    const showProgress = ({ hasCache, processed, changed, total, loaded }) => {
+        if (!loadingInfo) {
+            loadingInfo = document.createElement("div");
+            loadingInfo.style.cssText = `
+                position: absolute;
+                top: 60px;
+                right: 20px;
+                background: rgba(0, 0, 0, 0.8);
+                color: white;
+                padding: 8px 12px;
+                border-radius: 4px;
+                font-size: 12px;
+                z-index: 100;
+            `;
+            overlay.appendChild(loadingInfo);
+        }
+        loadingInfo.textContent = hasCache
+            ? `Refreshing ${processed} of ${changed} changed blocks...`
+            : `Loading ${loaded} of ${total} images...`;
+    };
+    
+    let scannedBlocks = null;
+    let scannedAt = 0;
+    let syncedImages = null;
+    try {
+        syncedImages = await syncImageIndex(scope, {
+            onImages: showImages,
+            onProgress: showProgress,
+            onScanned: (images, blocks, startedAt) => {
+                scannedBlocks = blocks;
+                scannedAt = startedAt;
+                if (loadingInfo) loadingInfo.remove();
+                if (images.length === 0) {
+                    showEmptyState();
+                } else {
+                    // Enable search after all images are loaded
+                    store.setState({ searchEnabled: true });
+                }
+            }
+        });
+    } catch (error) {
+        console.error("Error loading images:", error);
+        syncedImages = store.getState().images;
+    }
+    
+    // The graph could not be read: keep showing what the cache had, without live updates
+    if (!scannedBlocks) {
+        if (loadingInfo) loadingInfo.remove();
+        if (syncedImages.length === 0) {
+            content.innerHTML = `
+                <div style="display: flex; align-items: center; justify-content: center; height: 200px; color: #666;">
+                    Could not load images from your graph. Close and reopen the gallery to try again.
+                </div>
+            `;
+        }
         return;
     }
     
-    // Process first batch immediately to show something
-    const firstBatchSize = Math.min(50, imageUids.length); // Show first 50 images immediately
-    const firstBatch = imageUids.slice(0, firstBatchSize);
-    const remainingUids = imageUids.slice(firstBatchSize);
+    // Follow changes to the graph until the gallery is closed
+    if (overlay.isConnected) {
+        const follower = followGraphChanges(scope, scannedBlocks, scannedAt, {
+            getImages: () => store.getState().images,
+            onImages: images => showImages(images, { cached: false })
+        });
+        follower.watch(content);
+        stopLiveUpdates = follower.stop;
+    }
+}
+
+// Inline galleries
+// `{{imager: <query>}}` in a block renders a gallery grid in place of Roam's component button.
+// The query uses the search box syntax plus `sort:<order>` and `columns:<n>` options.
+// All inline galleries share one graph-wide image list. It is synced with the index once, then
+// kept up to date by a single follower (see "Live updates") while any inline gallery is shown,
+// so records of unchanged blocks stay the same objects and their cards are kept.
+const INLINE_REFRESH_INTERVAL = 30000; // ms between checks that a gallery is still shown; a failed sync is retried then
+const INLINE_COMPONENT_REGEX = /\{\{\s*(?:\[\[)?imager(?:\]\])?\s*(?::([^}]*))?\}\}/gi;
+
+let graphImages = null; // Latest image list of the whole graph, once known
+let graphSync = null; // In-flight sync shared by all inline galleries
+let graphFollower = null; // Follows the graph for inline galleries once synced
+const graphImageListeners = new Set();
+const inlineGalleries = new Set(); // { container, unwatch, cleanup } of mounted inline galleries
+let inlineGalleryObserver = null;
+
+function publishGraphImages(images) {
+    graphImages = images;
+    graphImageListeners.forEach(listener => listener(images));
+}
+
+// Sync the whole graph's images, then follow the graph while inline galleries are shown.
+// Does nothing while a sync is running or once the graph is followed.
+function syncGraphImages() {
+    if (graphSync || graphFollower) return;
+    
+    let scanned = null;
+    graphSync = syncImageIndex(null, {
+        onImages: publishGraphImages,
+        onScanned: (images, blocks, scannedAt) => {
+            scanned = { blocks, scannedAt };
+        }
+    })
+        .then(() => {
+            // Without a scan the galleries keep showing the cached images until the next retry
+            if (!scanned || inlineGalleries.size === 0) return;
+            graphFollower = followGraphChanges(null, scanned.blocks, scanned.scannedAt, {
+                getImages: () => graphImages,
+                onImages: publishGraphImages
+            });
+            inlineGalleries.forEach(gallery => {
+                gallery.unwatch = graphFollower.watch(gallery.container);
+            });
+        })
+        .catch(error => console.error("Error syncing inline galleries:", error))
+        .finally(() => {
+            graphSync = null;
+        });
+}
+
+// Split an inline gallery's arguments into the search query and display options
+function parseInlineGalleryArgs(args) {
+    const options = { sortOrder: SORT_ORDER, imagesPerRow: Math.min(IMAGES_PER_ROW, 4) };
+    const query = (args || '').replace(/(^|\s)(sort|columns):(\S+)/gi, (match, space, name, value) => {
+        if (name.toLowerCase() === 'sort') {
+            options.sortOrder = value.toLowerCase();
+        } else if (parseInt(value) > 0) {
+            options.imagesPerRow = Math.min(parseInt(value), 12);
+        }
+        return space;
+    });
+    return { query: query.trim(), ...options };
+}
+
+// Render an inline gallery for `args` into a new element. Returns the element; the gallery
+// tears itself down once the element leaves the page.
+function createInlineGallery(args) {
+    const { query, sortOrder, imagesPerRow } = parseInlineGalleryArgs(args);
+    const store = createGalleryStore({
+        query,
+        sortOrder,
+        imagesPerRow,
+        imagesPerPage: IMAGES_PER_PAGE,
+        displayMode: 'paged',
+        searchEnabled: true
+    });
     
-    // Process first batch
-    const firstImages = await processImageBatch(firstBatch);
-    let allImages = [...firstImages];
+    const element = document.createElement("div");
+    element.className = "imager-inline";
+    element.style.cssText = `
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        margin: 4px 0;
+        background: white;
+        cursor: default;
+    `;
+    // Keep clicks inside the gallery from putting the block into edit mode
+    element.onmousedown = (e) => e.stopPropagation();
+    element.onclick = (e) => e.stopPropagation();
     
-    // Apply initial sorting
-    allImages = sortImages(allImages, SORT_ORDER);
+    const header = document.createElement("div");
+    header.style.cssText = "display: flex; align-items: center; gap: 12px; padding: 8px 12px; border-bottom: 1px solid #e0e0e0; font-size: 13px; color: #5c7080;";
     
-    // Show first images immediately
-    createImageGrid(allImages, 1, content, allImages);
+    const summary = document.createElement("span");
+    summary.style.cssText = "flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
     
-    // Add loading indicator for remaining images
-    if (remainingUids.length > 0) {
-        const loadingInfo = document.createElement("div");
-        loadingInfo.style.cssText = `
-            position: absolute;
-            top: 60px;
-            right: 20px;
-            background: rgba(0, 0, 0, 0.8);
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 12px;
-            z-index: 100;
-        `;
-        loadingInfo.textContent = `Loading ${firstImages.length} of ${imageUids.length} images...`;
-        overlay.appendChild(loadingInfo);
-        
-        // Process remaining images in background
-        const batchSize = 50;
-        let processed = firstBatchSize;
-        
-        for (let i = 0; i < remainingUids.length; i += batchSize) {
-            const batch = remainingUids.slice(i, Math.min(i + batchSize, remainingUids.length));
-            const newImages = await processImageBatch(batch);
-            
-            // Add new images to the array
-            allImages.push(...newImages);
-            processed += batch.length;
-            
-            // Re-sort all images with current sort order
-            allImages = sortImages(allImages, SORT_ORDER);
-            
-            // Update loading info
-            loadingInfo.textContent = `Loading ${allImages.length} of ${imageUids.length} images...`;
-            
-            // Update the grid if we're on page 1
-            const currentPage = parseInt(content.dataset.currentPage) || 1;
-            if (currentPage === 1) {
-                createImageGrid(allImages, 1, content, allImages);
-            } else {
-                // Just update the stored data
-                content.dataset.allImages = JSON.stringify(allImages);
-                content.dataset.images = JSON.stringify(allImages);
-            }
-            
-            // Small delay to prevent UI blocking
-            await new Promise(resolve => setTimeout(resolve, 10));
+    const queryError = document.createElement("span");
+    queryError.style.color = "#c23030";
+    
+    const openButton = document.createElement("button");
+    openButton.className = "bp3-button bp3-minimal bp3-small bp3-icon-maximize";
+    openButton.title = "Open in the gallery popup";
+    openButton.onclick = () => showImageGallery(null, { query, sortOrder });
+    
+    header.appendChild(summary);
+    header.appendChild(queryError);
+    header.appendChild(openButton);
+    
+    const body = document.createElement("div");
+    body.textContent = "Loading images...";
+    body.style.cssText = "padding: 12px; color: #666; font-size: 13px;";
+    
+    element.appendChild(header);
+    element.appendChild(body);
+    
+    const renderSummary = ({ view }) => {
+        summary.textContent = `${view.length} image${view.length === 1 ? '' : 's'}${query ? ` matching ${query}` : ''}`;
+    };
+    renderSummary(store.getState());
+    store.subscribe(['view'], renderSummary);
+    const { errors } = store.getState().parsedQuery;
+    queryError.textContent = errors.length > 0 ? errors[0].message : '';
+    
+    let unmountGrid = null;
+    const showImages = (images) => {
+        store.setState({ images });
+        if (!unmountGrid) {
+            body.textContent = "";
+            body.style.cssText = "";
+            unmountGrid = createImageGrid(body, store);
         }
-        
-        // Remove loading indicator
-        loadingInfo.remove();
-        
-        // Enable search after all images are loaded
-        const searchInput = document.getElementById('imager-search-input');
-        if (searchInput) {
-            searchInput.disabled = false;
-            searchInput.placeholder = "Search images...";
-            searchInput.style.opacity = "1";
+    };
+    
+    // The blocks shown in the grid are watched once the graph is followed, so edits to them show
+    // up right away
+    const gallery = { container: body, unwatch: graphFollower ? graphFollower.watch(body) : null };
+    const unfollowHealth = followImageHealth(store);
+    graphImageListeners.add(showImages);
+    if (graphImages) showImages(graphImages);
+    inlineGalleries.add(gallery);
+    syncGraphImages();
+    
+    // Stop once Roam removed the element; until the graph is followed, retry the sync
+    const refreshTimer = setInterval(() => {
+        if (element.isConnected) {
+            syncGraphImages();
+        } else {
+            gallery.cleanup();
         }
+    }, INLINE_REFRESH_INTERVAL);
+    
+    gallery.cleanup = () => {
+        clearInterval(refreshTimer);
+        graphImageListeners.delete(showImages);
+        if (gallery.unwatch) gallery.unwatch();
+        unfollowHealth();
+        if (unmountGrid) unmountGrid();
+        inlineGalleries.delete(gallery);
         
-        // Now enhance with context in background (optional, lower priority)
-        enhanceImagesWithContext(allImages, (processed, total) => {
-            // Update the stored data silently
-            if (content.dataset.allImages) {
-                content.dataset.allImages = JSON.stringify(allImages);
-            }
-        });
-    } else {
-        // If no remaining images, enable search immediately
-        const searchInput = document.getElementById('imager-search-input');
-        if (searchInput) {
-            searchInput.disabled = false;
-            searchInput.placeholder = "Search images...";
-            searchInput.style.opacity = "1";
+        // The graph is only followed while an inline gallery is shown
+        if (inlineGalleries.size === 0 && graphFollower) {
+            graphFollower.stop();
+            graphFollower = null;
+            graphImages = null;
         }
+    };
+    
+    return element;
+}
+
+// Replace the button Roam renders for an `{{imager}}` component with an inline gallery
+async function renderInlineGallery(button) {
+    button.dataset.imagerRendered = "true";
+    const blockElement = button.closest(".roam-block");
+    if (!blockElement) return;
+    
+    const uid = await getBlockUidFromElementId(blockElement.id);
+    if (!uid) return;
+    const block = await window.roamAlphaAPI.pull("[:block/string]", [":block/uid", uid]);
+    if (!block) return;
+    
+    // Match the button to its component when a block has several
+    const buttons = [...blockElement.querySelectorAll("button[data-imager-rendered]")];
+    const components = [...(block[":block/string"] || '').matchAll(INLINE_COMPONENT_REGEX)];
+    const component = components[buttons.indexOf(button)];
+    if (!component) return;
+    
+    button.style.display = "none";
+    button.insertAdjacentElement('afterend', createInlineGallery(component[1]));
+}
+
+// Whether a button is the one Roam renders for `{{imager}}` / `{{imager: ...}}`
+function isInlineGalleryButton(button) {
+    return /^imager\b/i.test(button.textContent.trim()) && !button.dataset.imagerRendered;
+}
+
+// Render inline galleries for component buttons already on the page and any added later
+function startInlineGalleries() {
+    const renderAll = (root) => {
+        root.querySelectorAll(".roam-block button.bp3-button").forEach(button => {
+            if (isInlineGalleryButton(button)) renderInlineGallery(button);
+        });
+    };
+    
+    inlineGalleryObserver = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (node.matches("button.bp3-button") && node.closest(".roam-block") && isInlineGalleryButton(node)) {
+                        renderInlineGallery(node);
+                    } else {
+                        renderAll(node);
+                    }
+                }
+            });
+        });
+    });
+    inlineGalleryObserver.observe(document.body, { childList: true, subtree: true });
+    renderAll(document);
+}
+
+function stopInlineGalleries() {
+    if (inlineGalleryObserver) {
+        inlineGalleryObserver.disconnect();
+        inlineGalleryObserver = null;
     }
+    [...inlineGalleries].forEach(gallery => gallery.cleanup());
+    document.querySelectorAll(".imager-inline").forEach(element => element.remove());
+    document.querySelectorAll("button[data-imager-rendered]").forEach(button => {
+        button.style.display = "";
+        delete button.dataset.imagerRendered;
+    });
 }
 
+// Discovery pipeline (for the benchmark harness in bench/) and the DOM-free search query
+// parser and evaluator, exported for use outside Roam. Roam only uses the default export.
+export {
+    getImageBlockUids,
+    processImageBatch,
+    enhanceImagesWithContext,
+    parseSearchQuery,
+    evaluateSearchQuery
+};
+
 // Main extension object
 export default {
     onload: ({ extensionAPI }) => {
@@ -999,6 +7149,73 @@ export default {
             SORT_ORDER = savedSortOrder;
         }
         
+        const savedDisplayMode = localStorage.getItem('imager-display-mode');
+        if (savedDisplayMode) {
+            DISPLAY_MODE = savedDisplayMode;
+        }
+        
+        const savedLayout = localStorage.getItem('imager-layout');
+        if (savedLayout) {
+            LAYOUT_MODE = savedLayout;
+        }
+        
+        const savedTimelineGranularity = localStorage.getItem('imager-timeline-granularity');
+        if (savedTimelineGranularity) {
+            TIMELINE_GRANULARITY = savedTimelineGranularity;
+        }
+        
+        try {
+            PINNED_PAGES = JSON.parse(localStorage.getItem('imager-pinned-pages')) || [];
+        } catch (error) {
+            console.error("Failed to load pinned pages:", error);
+        }
+        
+        const savedSlideshowInterval = localStorage.getItem('imager-slideshow-interval');
+        if (savedSlideshowInterval) {
+            SLIDESHOW_INTERVAL = parseInt(savedSlideshowInterval);
+        }
+        
+        const savedShowFacets = localStorage.getItem('imager-show-facets');
+        if (savedShowFacets) {
+            SHOW_FACETS = savedShowFacets === 'true';
+        }
+        
+        const savedExportFormat = localStorage.getItem('imager-export-format');
+        if (savedExportFormat) {
+            EXPORT_FORMAT = savedExportFormat;
+        }
+        
+        const savedExportPattern = localStorage.getItem('imager-export-pattern');
+        if (savedExportPattern) {
+            EXPORT_FILENAME_PATTERN = savedExportPattern;
+        }
+        
+        const savedExportEmbedImages = localStorage.getItem('imager-export-embed-images');
+        if (savedExportEmbedImages) {
+            EXPORT_EMBED_IMAGES = savedExportEmbedImages === 'true';
+        }
+        
+        // Filter lists are edited in the settings panel, so they live in the extension settings.
+        // The deny list is written out on first run so its default shows up there.
+        const savedAllowList = extensionAPI.settings.get('imager-allow-list');
+        if (typeof savedAllowList === 'string') {
+            ALLOW_LIST = savedAllowList;
+        }
+        
+        const savedDenyList = extensionAPI.settings.get('imager-deny-list');
+        if (typeof savedDenyList === 'string') {
+            DENY_LIST = savedDenyList;
+        } else {
+            extensionAPI.settings.set('imager-deny-list', DENY_LIST);
+        }
+        
+        GALLERY_SHORTCUTS.forEach(({ action }) => {
+            const savedKey = extensionAPI.settings.get(`imager-shortcut-${action}`);
+            if (typeof savedKey === 'string' && savedKey.trim()) {
+                KEY_BINDINGS[action] = savedKey.trim();
+            }
+        });
+        
         // Register command palette command
         extensionAPI.settings.panel.create({
             tabTitle: "Imager",
@@ -1008,17 +7225,71 @@ export default {
                 description: "View all images in your graph",
                 action: {
                     type: "button",
-                    onClick: showImageGallery
+                    onClick: () => showImageGallery()
+                }
+            }, {
+                id: "imager-rebuild-index",
+                name: "Rebuild Image Index",
+                description: "Discard the cached image index and rescan the whole graph next time the gallery opens",
+                action: {
+                    type: "button",
+                    onClick: clearImageIndex
+                }
+            }, {
+                id: "imager-allow-list",
+                name: "Only Show Images From",
+                description: "Filter rules separated by spaces or commas: domains (wildcards allowed, e.g. *.googleapis.com), file extensions (e.g. .png) or /regular expressions/ matched against the image URL. When set, only images matching a rule are shown",
+                action: {
+                    type: "input",
+                    placeholder: "e.g. firebasestorage.googleapis.com *.imgur.com",
+                    onChange: (e) => {
+                        ALLOW_LIST = e.target.value;
+                    }
+                }
+            }, {
+                id: "imager-deny-list",
+                name: "Hide Images From",
+                description: "Filter rules, written as for the list above, for images to hide. The gallery shows how many images are hidden and can reveal them",
+                action: {
+                    type: "input",
+                    placeholder: "e.g. mmbiz.qpic.cn .gif /thumb/i",
+                    onChange: (e) => {
+                        DENY_LIST = e.target.value;
+                    }
+                }
+            }, {
+                id: "imager-health-check",
+                name: "Check Image Health",
+                description: "Probe every image for broken links, redirects, slow responses and oversized files",
+                action: {
+                    type: "button",
+                    onClick: showImageHealthCheck
+                }
+            }, ...GALLERY_SHORTCUTS.map(({ action, name, key }) => ({
+                id: `imager-shortcut-${action}`,
+                name: `Shortcut: ${name}`,
+                description: `Key for this gallery shortcut, e.g. "o", "Shift+O" or "Ctrl+]". Leave empty for the default, ${key}`,
+                action: {
+                    type: "input",
+                    placeholder: key,
+                    onChange: (e) => {
+                        KEY_BINDINGS[action] = e.target.value.trim();
+                    }
                 }
-            }]
+            }))]
         });
         
         // Add command to command palette
-        window.roamAlphaAPI.ui.commandPalette.addCommand({
-            label: "Open Image Gallery",
-            callback: showImageGallery
+        GALLERY_COMMANDS.forEach(command => {
+            window.roamAlphaAPI.ui.commandPalette.addCommand(command);
         });
         
+        // Render `{{imager}}` components as inline galleries
+        startInlineGalleries();
+        
+        // Remember where the user was editing, for inserting images from the gallery
+        startEditTracking();
+        
         // Add topbar button
         const topbar = document.querySelector(".rm-topbar");
         if (topbar) {
@@ -1041,22 +7312,43 @@ export default {
     onunload: () => {
         console.log("Imager extension unloading...");
         
+        GALLERY_COMMANDS.forEach(({ label }) => {
+            window.roamAlphaAPI.ui.commandPalette.removeCommand({ label });
+        });
+        
+        stopInlineGalleries();
+        
+        if (stopEditTracking) stopEditTracking();
+        stopEditTracking = null;
+        lastEditedBlock = null;
+        closeImageMenu();
+        
+        // Stop a running health check and remove its panel
+        if (healthCheckController) healthCheckController.abort();
+        const healthReport = document.getElementById(HEALTH_REPORT_ID);
+        if (healthReport) {
+            healthReport.remove();
+        }
+        
+        // Stop a running duplicate search and remove its dialog
+        if (duplicateFinderController) duplicateFinderController.abort();
+        const duplicates = document.getElementById(DUPLICATES_ID);
+        if (duplicates) {
+            duplicates.remove();
+        }
+        
         // Remove topbar button
         const button = document.getElementById("imager-button");
         if (button) {
             button.remove();
         }
         
-        // Remove popup if open
-        const popup = document.getElementById(POPUP_ID);
-        if (popup) {
-            popup.remove();
-        }
+        // Remove popup if open, stopping its live updates
+        closeImageGallery();
         
-        // Remove lightbox if open
-        const lightbox = document.getElementById(LIGHTBOX_ID);
-        if (lightbox) {
-            lightbox.remove();
+        // Close lightbox if open, removing its listeners
+        if (closeOpenLightbox) {
+            closeOpenLightbox();
         }
         
         console.log("Imager extension unloaded");
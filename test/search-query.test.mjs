@@ -0,0 +1,98 @@
+// Search query parser and evaluator tests
+//
+// parseSearchQuery and evaluateSearchQuery are plain functions, so they run in Node without Roam.
+//
+// Usage: node --test test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+// Load extension.js as an ES module regardless of how Node would treat the .js file
+async function loadExtension() {
+    const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+    const source = readFileSync(join(root, "extension.js"), "utf8");
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString("base64")}`);
+}
+
+const { parseSearchQuery, evaluateSearchQuery } = await loadExtension();
+
+function createImage({ url = "https://example.com/photo.png", alt = "", pageTitle = "Notes", blockContent = "", createTime = null, refs = [] } = {}) {
+    return {
+        url,
+        alt,
+        pageTitle,
+        blockContent,
+        createTime,
+        refs,
+        searchableContent: `${blockContent} ${pageTitle}`.toLowerCase()
+    };
+}
+
+function matches(query, image) {
+    return evaluateSearchQuery(parseSearchQuery(query).clauses, image);
+}
+
+test("splits free text, phrases and filters", () => {
+    const { clauses, errors } = parseSearchQuery('sunset "golden hour" page:"Project X" -ext:.GIF');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+        clauses.map(({ field, value, negated, quoted }) => ({ field, value, negated, quoted })),
+        [
+            { field: "text", value: "sunset", negated: false, quoted: false },
+            { field: "text", value: "golden hour", negated: false, quoted: true },
+            { field: "page", value: "project x", negated: false, quoted: true },
+            { field: "ext", value: "gif", negated: true, quoted: false }
+        ]
+    );
+});
+
+test("reads Roam references as one value without their brackets", () => {
+    const values = (query) => parseSearchQuery(query).clauses.map(({ field, value }) => `${field}=${value}`);
+    assert.deepEqual(values("tag:#[[Foo Bar]] sunset"), ["tag=foo bar", "text=sunset"]);
+    assert.deepEqual(values("tag:[[Foo]]"), ["tag=foo"]);
+    assert.deepEqual(values("tag:#design"), ["tag=design"]);
+    assert.deepEqual(values("page:[[Project X]]"), ["page=project x"]);
+    assert.deepEqual(values("tag:[[Trip to [[Rome]]]]"), ["tag=trip to [[rome]]"]);
+});
+
+test("reports problems with their range and keeps the valid clauses", () => {
+    const { clauses, errors } = parseSearchQuery('ext:png before:2024-02-31 tag: "open');
+    assert.deepEqual(clauses.map(clause => clause.field), ["ext", "text"]);
+    assert.deepEqual(errors.map(error => error.message), [
+        'Invalid date "2024-02-31" for "before:" (use YYYY-MM-DD, YYYY-MM or YYYY)',
+        'Missing value for "tag:"',
+        "Missing closing quote"
+    ]);
+    assert.deepEqual(errors.map(({ start, end }) => [start, end]), [[8, 25], [26, 30], [31, 36]]);
+    
+    assert.deepEqual(parseSearchQuery("tag:[[Foo").errors.map(error => error.message), ["Missing closing ']]'"]);
+});
+
+test("matches tags written any way Roam allows", () => {
+    const image = createImage({ blockContent: "Mood board #[[Big Idea]] #design status:: draft", refs: ["Travel"] });
+    assert.ok(matches("tag:#[[Big Idea]]", image));
+    assert.ok(matches("tag:[[big idea]]", image));
+    assert.ok(matches("tag:design", image));
+    assert.ok(matches("tag:status", image));
+    assert.ok(matches("tag:travel", image));
+    assert.ok(!matches("tag:big", image));
+});
+
+test("combines clauses with AND and honours negation", () => {
+    const image = createImage({
+        url: "https://firebasestorage.googleapis.com/v0/b/app/o/imgs%2Fshot.png?alt=media",
+        alt: "Architecture diagram",
+        pageTitle: "Project X",
+        blockContent: "Draft of the new layout",
+        createTime: new Date(2024, 2, 15).getTime()
+    });
+    assert.ok(matches("alt:diagram page:[[Project X]] ext:png domain:firebasestorage", image));
+    assert.ok(matches("after:2024-03 before:2024-04 layout", image));
+    assert.ok(!matches("after:2024-04", image));
+    assert.ok(!matches("-ext:png", image));
+    assert.ok(matches("-page:archive", image));
+    assert.ok(!matches("layout missing", image));
+});